@@ -0,0 +1,159 @@
+/**
+ * Benchmarks for the wrapper identity cache, and for operations on
+ * wrappers around `NodeList` results (which aren't copied into arrays).
+ * 
+ * This uses `jsdom` (via the `document` option), which is a development
+ * dependency of this package, so install those first:
+ * 
+ *   npm install
+ *   node bench/cache.js [rows] [rounds]
+ */
+
+"use strict";
+
+const Wrapper = require('../lib/wrapper');
+
+let JSDOM;
+try
+{
+  ({JSDOM} = require('jsdom'));
+}
+catch (err)
+{
+  console.error("This benchmark requires jsdom: npm install");
+  process.exit(1);
+}
+
+const ROWS   = parseInt(process.argv[2] ?? '500');
+const ROUNDS = parseInt(process.argv[3] ?? '20');
+const CELLS  = 5;
+
+const rows = [];
+for (let r=0; r < ROWS; r++)
+{
+  const cells = [];
+  for (let c=0; c < CELLS; c++)
+  {
+    cells.push(`<td class="c${c}">${r}:${c}</td>`);
+  }
+  rows.push(`<tr id="r${r}">${cells.join('')}</tr>`);
+}
+
+const dom = new JSDOM(`<table id="t"><tbody>${rows.join('')}</tbody></table>`);
+const document = dom.window.document;
+
+// Each test works through the table the way a typical view update would.
+const tests =
+{
+  'wrappedChildren + get()': function(table)
+  {
+    const tbody = table.get('tbody');
+    for (const row of tbody.wrappedChildren)
+    {
+      row.get('.c1').first;
+    }
+  },
+  'find() + eq()': function(table)
+  {
+    const found = table.find('tr');
+    for (let i=0; i < found.length; i++)
+    {
+      found.eq(i).get(0);
+    }
+  },
+  'get() by id': function(table)
+  {
+    for (let r=0; r < ROWS; r++)
+    {
+      table.get('#r' + r);
+    }
+  },
+}
+
+// Operations on a collection, each is run once per row.
+const collectionTests =
+{
+  'index()': function(cells)
+  {
+    for (let r=0; r < ROWS; r++)
+    {
+      cells.index(cells.wraps[r]);
+    }
+  },
+  'hasClass()': function(cells)
+  {
+    for (let r=0; r < ROWS; r++)
+    {
+      cells.hasClass('c0');
+    }
+  },
+  'is()': function(cells)
+  {
+    for (let r=0; r < ROWS; r++)
+    {
+      cells.is('.c4');
+    }
+  },
+}
+
+// Time a test function, returning the average milliseconds per round.
+function time(test, subject)
+{
+  test(subject); // Warm up.
+
+  const start = process.hrtime.bigint();
+  for (let i=0; i < ROUNDS; i++)
+  {
+    test(subject);
+  }
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  return ms / ROUNDS;
+}
+
+function run(name, test, options)
+{
+  return time(test, new Wrapper(document.getElementById('t'), options));
+}
+
+const results = [];
+for (const name in tests)
+{
+  const plain  = run(name, tests[name], {document});
+  const cached = run(name, tests[name], {document, cache: true});
+  results.push(
+  {
+    test: name,
+    'plain (ms)': plain.toFixed(2),
+    'cache (ms)': cached.toFixed(2),
+    speedup: (plain / cached).toFixed(2) + 'x',
+  });
+}
+
+console.log(`${ROWS} rows, ${CELLS} cells per row, ${ROUNDS} rounds`);
+console.table(results);
+
+// The same operations on a NodeList and an Array of the same cells.
+// Operations that only read the wrapped elements don't copy the NodeList,
+// so the difference is only the cost of indexing a jsdom NodeList.
+const cells = document.querySelectorAll('td');
+const collectionResults = [];
+for (const name in collectionTests)
+{
+  const nodeList = time(collectionTests[name], new Wrapper(cells, {document}));
+  const array = time(collectionTests[name], 
+    new Wrapper(Array.from(cells), {document}));
+  collectionResults.push(
+  {
+    test: name,
+    'NodeList (ms)': nodeList.toFixed(2),
+    'Array (ms)': array.toFixed(2),
+    ratio: (nodeList / array).toFixed(2) + 'x',
+  });
+}
+
+console.log(`${cells.length} cells, each test repeated ${ROWS} times`);
+console.table(collectionResults);
+
+// Identity check: the same element always gives the same wrapper.
+const table = new Wrapper(document.getElementById('t'), {document, cache: true});
+console.log("Same wrapper:", table.get('#r1') === table.find('tr').eq(1));
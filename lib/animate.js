@@ -0,0 +1,476 @@
+/**
+ * Showing and hiding elements, with optional animations.
+ * @module @lumjs/web-core-extra/animate
+ */
+
+"use strict";
+
+const core = require('@lumjs/core');
+const {S,N,F,B} = core.types;
+
+const REDUCED = '(prefers-reduced-motion: reduce)';
+const DISPLAY = new WeakMap(); // The display value before hiding.
+const CURRENT = new WeakMap(); // The current operation for an element.
+const OVERFLOW = new WeakMap(); // The overflow value before sliding.
+
+/**
+ * Default options for all of the functions in this module.
+ * 
+ * @alias module:@lumjs/web-core-extra/animate.DEFAULTS
+ * 
+ * @prop {number} duration - Animation duration (in milliseconds).
+ * @prop {string} easing - Animation easing function.
+ * @prop {boolean} reducedMotion - Respect `prefers-reduced-motion`?
+ * 
+ * If `true` and the user prefers reduced motion, no animations
+ * will be used, and class changes will not be waited for.
+ * 
+ * @prop {?string} display - The `display` value used to show elements
+ * that are hidden by a stylesheet; if `null` the value from before the
+ * element was hidden is used, or `"block"` if that isn't known.
+ */
+const DEFAULTS =
+{
+  duration: 200,
+  easing: 'ease',
+  reducedMotion: true,
+  display: null,
+}
+
+exports.DEFAULTS = DEFAULTS;
+
+// Compile options; a number is the duration.
+function getOpts(options)
+{
+  if (typeof options === N)
+  {
+    options = {duration: options};
+  }
+  return Object.assign({}, DEFAULTS, options);
+}
+
+// Get the computed style of an element (if possible).
+function styleOf(elem)
+{
+  const win = elem.ownerDocument?.defaultView;
+  return (win && typeof win.getComputedStyle === F)
+    ? win.getComputedStyle(elem)
+    : elem.style;
+}
+
+// Parse a CSS time list (e.g. "0.2s, 100ms") into milliseconds.
+function parseTimes(value)
+{
+  return String(value ?? '').split(',').map(function(time)
+  {
+    time = time.trim();
+    const num = parseFloat(time);
+    if (Number.isNaN(num)) return 0;
+    return time.endsWith('ms') ? num : num * 1000;
+  });
+}
+
+// Get the longest transition or animation time of an element.
+function transitionTime(elem)
+{
+  const style = styleOf(elem);
+  let max = 0;
+  for (const [dur, delay] of [
+    ['transitionDuration', 'transitionDelay'],
+    ['animationDuration', 'animationDelay'],
+  ])
+  {
+    const durs = parseTimes(style[dur]), delays = parseTimes(style[delay]);
+    for (let i=0; i < durs.length; i++)
+    {
+      max = Math.max(max, durs[i] + (delays[i] ?? delays[0] ?? 0));
+    }
+  }
+  return max;
+}
+
+/**
+ * Does the user prefer reduced motion?
+ * 
+ * @param {Element} elem - An element (to find the window from).
+ * @returns {boolean}
+ * 
+ * @alias module:@lumjs/web-core-extra/animate.prefersReducedMotion
+ */
+function prefersReducedMotion(elem)
+{
+  const win = elem.ownerDocument?.defaultView;
+  if (!win || typeof win.matchMedia !== F) return false;
+  return win.matchMedia(REDUCED).matches;
+}
+
+exports.prefersReducedMotion = prefersReducedMotion;
+
+// Should motion be skipped for an element?
+function noMotion(elem, opts)
+{
+  return (opts.duration <= 0
+    || (opts.reducedMotion && prefersReducedMotion(elem)));
+}
+
+// Start a new operation on an element, cancelling any current one.
+function begin(elem)
+{
+  const current = CURRENT.get(elem);
+  if (current?.animation)
+  {
+    current.animation.cancel();
+  }
+  const op = {};
+  CURRENT.set(elem, op);
+  return op;
+}
+
+// Is an operation still the current one for an element?
+function isCurrent(elem, op)
+{
+  return (CURRENT.get(elem) === op);
+}
+
+// Finish an operation.
+function end(elem, op)
+{
+  if (isCurrent(elem, op))
+  {
+    CURRENT.delete(elem);
+  }
+  return elem;
+}
+
+// Run a Web Animations API animation; resolves to `false` if cancelled.
+function run(elem, op, keyframes, opts)
+{
+  if (noMotion(elem, opts) || typeof elem.animate !== F)
+  {
+    return Promise.resolve(true);
+  }
+
+  op.animation = elem.animate(keyframes,
+  {
+    duration: opts.duration,
+    easing: opts.easing,
+  });
+
+  return op.animation.finished.then(() => true, () => false);
+}
+
+// Wait for any CSS transitions or animations on an element to end.
+function waitForTransition(elem, opts)
+{
+  const time = noMotion(elem, opts) ? 0 : transitionTime(elem);
+  if (time <= 0)
+  {
+    return Promise.resolve();
+  }
+
+  return new Promise(function(resolve)
+  {
+    let timer;
+    const done = function(ev)
+    {
+      if (ev && ev.target !== elem) return;
+      clearTimeout(timer);
+      elem.removeEventListener('transitionend', done);
+      elem.removeEventListener('animationend', done);
+      resolve();
+    }
+    elem.addEventListener('transitionend', done);
+    elem.addEventListener('animationend', done);
+    // In case the events never fire (e.g. nothing actually changed).
+    timer = setTimeout(done, time + 50);
+  });
+}
+
+/**
+ * Is an element hidden?
+ * 
+ * @param {Element} elem - The element to test.
+ * @returns {boolean} `true` if the element has the `hidden` attribute,
+ * or a computed `display` of `none`.
+ * 
+ * @alias module:@lumjs/web-core-extra/animate.isHidden
+ */
+function isHidden(elem)
+{
+  return (elem.hidden || styleOf(elem).display === 'none');
+}
+
+exports.isHidden = isHidden;
+
+// Make an element displayed (without any animation).
+function display(elem, opts)
+{
+  elem.hidden = false;
+  if (elem.style.display === 'none')
+  {
+    elem.style.display = '';
+  }
+  if (styleOf(elem).display === 'none')
+  { // Hidden by a stylesheet.
+    elem.style.display = opts.display ?? DISPLAY.get(elem) ?? 'block';
+  }
+}
+
+// Make an element not displayed (without any animation).
+function conceal(elem)
+{
+  const current = styleOf(elem).display;
+  if (current && current !== 'none')
+  {
+    DISPLAY.set(elem, current);
+  }
+  elem.style.display = 'none';
+}
+
+/**
+ * Show an element.
+ * 
+ * @param {Element} elem - The element to show.
+ * 
+ * @param {(object|number)} [options] Options; see `DEFAULTS` for the
+ * common options. A `number` is the same as `{duration: number}`.
+ * 
+ * @param {string} [options.class] A class to add after showing the element.
+ * 
+ * If specified, the element is made visible, then the class is added,
+ * and any CSS transitions or animations it triggers are waited for.
+ * If not specified, the element is shown immediately.
+ * 
+ * @returns {Promise<Element>} Resolves to the element when done.
+ * 
+ * @alias module:@lumjs/web-core-extra/animate.show
+ */
+async function show(elem, options)
+{
+  const opts = getOpts(options);
+  const op = begin(elem);
+
+  display(elem, opts);
+
+  if (typeof opts.class === S)
+  {
+    void elem.offsetWidth; // Force a reflow so the transition will run.
+    elem.classList.add(opts.class);
+    await waitForTransition(elem, opts);
+  }
+
+  return end(elem, op);
+}
+
+exports.show = show;
+
+/**
+ * Hide an element.
+ * 
+ * @param {Element} elem - The element to hide.
+ * 
+ * @param {(object|number)} [options] Options; see `show()`.
+ * 
+ * @param {string} [options.class] A class to remove before hiding.
+ * 
+ * If specified, the class is removed, and any CSS transitions or
+ * animations that triggers are waited for before the element is hidden.
+ * If not specified, the element is hidden immediately.
+ * 
+ * @returns {Promise<Element>} Resolves to the element when done.
+ * 
+ * @alias module:@lumjs/web-core-extra/animate.hide
+ */
+async function hide(elem, options)
+{
+  const opts = getOpts(options);
+  const op = begin(elem);
+
+  if (typeof opts.class === S)
+  {
+    elem.classList.remove(opts.class);
+    await waitForTransition(elem, opts);
+  }
+
+  if (isCurrent(elem, op))
+  { // Only hide it if nothing else has happened since.
+    conceal(elem);
+  }
+
+  return end(elem, op);
+}
+
+exports.hide = hide;
+
+/**
+ * Show or hide an element.
+ * 
+ * @param {Element} elem - The element to show or hide.
+ * 
+ * @param {boolean} [force] If `true` show it, if `false` hide it;
+ * if omitted (or not a `boolean`) hide it if it's visible, or show
+ * it if it's hidden.
+ * 
+ * @param {(object|number)} [options] Options; see `show()`.
+ * 
+ * @returns {Promise<Element>} Resolves to the element when done.
+ * 
+ * @alias module:@lumjs/web-core-extra/animate.toggle
+ */
+function toggle(elem, force, options)
+{
+  if (typeof force !== B)
+  {
+    if (options === undefined) options = force;
+    force = isHidden(elem);
+  }
+  return force ? show(elem, options) : hide(elem, options);
+}
+
+exports.toggle = toggle;
+
+/**
+ * Show an element by fading it in.
+ * 
+ * Uses the Web Animations API if it's available;
+ * otherwise the element is shown immediately.
+ * 
+ * @param {Element} elem - The element to fade in.
+ * @param {(object|number)} [options] Options; see `DEFAULTS`.
+ * @returns {Promise<Element>} Resolves to the element when done.
+ * 
+ * @alias module:@lumjs/web-core-extra/animate.fadeIn
+ */
+async function fadeIn(elem, options)
+{
+  const opts = getOpts(options);
+  const op = begin(elem);
+
+  display(elem, opts);
+  const opacity = styleOf(elem).opacity || '1';
+  await run(elem, op, [{opacity: 0}, {opacity}], opts);
+
+  return end(elem, op);
+}
+
+exports.fadeIn = fadeIn;
+
+/**
+ * Hide an element by fading it out.
+ * 
+ * @param {Element} elem - The element to fade out.
+ * @param {(object|number)} [options] Options; see `DEFAULTS`.
+ * @returns {Promise<Element>} Resolves to the element when done.
+ * 
+ * @alias module:@lumjs/web-core-extra/animate.fadeOut
+ */
+async function fadeOut(elem, options)
+{
+  const opts = getOpts(options);
+  const op = begin(elem);
+
+  if (!isHidden(elem))
+  {
+    const opacity = styleOf(elem).opacity || '1';
+    if (await run(elem, op, [{opacity}, {opacity: 0}], opts))
+    {
+      conceal(elem);
+    }
+  }
+
+  return end(elem, op);
+}
+
+exports.fadeOut = fadeOut;
+
+// Get the keyframes for sliding an element open.
+function slideFrames(elem)
+{
+  const style = styleOf(elem);
+  return [
+    {
+      height: '0px',
+      paddingTop: '0px',
+      paddingBottom: '0px',
+      marginTop: '0px',
+      marginBottom: '0px',
+    },
+    {
+      height: elem.scrollHeight + 'px',
+      paddingTop: style.paddingTop,
+      paddingBottom: style.paddingBottom,
+      marginTop: style.marginTop,
+      marginBottom: style.marginBottom,
+    },
+  ];
+}
+
+// Run a slide animation with the overflow hidden.
+async function slide(elem, op, keyframes, opts)
+{
+  if (!OVERFLOW.has(elem))
+  {
+    OVERFLOW.set(elem, elem.style.overflow);
+  }
+  elem.style.overflow = 'hidden';
+
+  const finished = await run(elem, op, keyframes, opts);
+
+  if (isCurrent(elem, op))
+  { // A cancelled slide leaves this for the one that replaced it.
+    elem.style.overflow = OVERFLOW.get(elem);
+    OVERFLOW.delete(elem);
+  }
+
+  return finished;
+}
+
+/**
+ * Show an element by sliding it down (open).
+ * 
+ * @param {Element} elem - The element to slide down.
+ * @param {(object|number)} [options] Options; see `DEFAULTS`.
+ * @returns {Promise<Element>} Resolves to the element when done.
+ * 
+ * @alias module:@lumjs/web-core-extra/animate.slideDown
+ */
+async function slideDown(elem, options)
+{
+  const opts = getOpts(options);
+  const op = begin(elem);
+
+  display(elem, opts);
+  await slide(elem, op, slideFrames(elem), opts);
+
+  return end(elem, op);
+}
+
+exports.slideDown = slideDown;
+
+/**
+ * Hide an element by sliding it up (closed).
+ * 
+ * @param {Element} elem - The element to slide up.
+ * @param {(object|number)} [options] Options; see `DEFAULTS`.
+ * @returns {Promise<Element>} Resolves to the element when done.
+ * 
+ * @alias module:@lumjs/web-core-extra/animate.slideUp
+ */
+async function slideUp(elem, options)
+{
+  const opts = getOpts(options);
+  const op = begin(elem);
+
+  if (!isHidden(elem))
+  {
+    const keyframes = slideFrames(elem).reverse();
+    if (await slide(elem, op, keyframes, opts))
+    {
+      conceal(elem);
+    }
+  }
+
+  return end(elem, op);
+}
+
+exports.slideUp = slideUp;
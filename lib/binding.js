@@ -0,0 +1,505 @@
+/**
+ * Data-binding and text interpolation for elements.
+ * @module @lumjs/web-core-extra/binding
+ */
+
+"use strict";
+
+const core = require('@lumjs/core');
+const {S,B,F,isObj} = core.types;
+
+const forms = require('./forms');
+
+const SHOW_TEXT = 4; // NodeFilter.SHOW_TEXT
+const SKIP_TAGS = ['SCRIPT', 'STYLE', 'TEXTAREA'];
+const CHANGE_TYPES = ['checkbox', 'radio', 'select-one', 'select-multiple'];
+const ESCAPE = /[.*+?^${}()|[\]\\]/g;
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Default options for `bind()`.
+ * 
+ * @alias module:@lumjs/web-core-extra/binding.DEFAULTS
+ */
+const DEFAULTS =
+{
+  prefix: 'bind',
+  delimiters: ['{{', '}}'],
+  twoWay: false,
+}
+
+exports.DEFAULTS = DEFAULTS;
+
+/**
+ * Split a path string into its keys.
+ * 
+ * @param {string} path - A dotted path, e.g. `"user.name"` or `"items.0"`.
+ * @returns {string[]}
+ * 
+ * @alias module:@lumjs/web-core-extra/binding.parsePath
+ */
+function parsePath(path)
+{
+  return path.split('.').map(key => key.trim()).filter(key => key !== '');
+}
+
+exports.parsePath = parsePath;
+
+/**
+ * Get a value from a model using a path.
+ * 
+ * @param {object} model - The model object.
+ * @param {string} path - The path to the value; see `parsePath()`.
+ * @returns {*} The value, or `undefined` if it was not found.
+ * 
+ * @alias module:@lumjs/web-core-extra/binding.getPath
+ */
+function getPath(model, path)
+{
+  let value = model;
+  for (const key of parsePath(path))
+  {
+    if (!isObj(value) || !(key in value)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+exports.getPath = getPath;
+
+/**
+ * Set a value in a model using a path.
+ * 
+ * Any missing intermediate objects will be created.
+ * 
+ * Paths containing a `__proto__`, `constructor`, or `prototype` key
+ * are ignored, so they can't be used to modify built-in prototypes.
+ * 
+ * @param {object} model - The model object.
+ * @param {string} path - The path to the value; see `parsePath()`.
+ * @param {*} value - The value to set.
+ * @returns {void}
+ * 
+ * @alias module:@lumjs/web-core-extra/binding.setPath
+ */
+function setPath(model, path, value)
+{
+  const keys = parsePath(path);
+  if (keys.length === 0 || keys.some(key => UNSAFE_KEYS.includes(key))) return;
+
+  const last = keys.pop();
+  let target = model;
+  for (const key of keys)
+  {
+    if (!Object.hasOwn(target, key) || !isObj(target[key]))
+    {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+exports.setPath = setPath;
+
+// Is a value a plain object (for merging)?
+function isPlain(value)
+{
+  if (!isObj(value) || Array.isArray(value)) return false;
+  const proto = Object.getPrototypeOf(value);
+  return (proto === Object.prototype || proto === null);
+}
+
+// Merge a partial model into a model, returning the changed paths.
+function merge(model, partial, prefix='', changed=[])
+{
+  for (const key in partial)
+  {
+    if (UNSAFE_KEYS.includes(key)) continue;
+
+    const path = prefix + key;
+    const value = partial[key];
+    if (isPlain(value) && Object.hasOwn(model, key) && isPlain(model[key]))
+    {
+      merge(model[key], value, path + '.', changed);
+    }
+    else
+    {
+      model[key] = value;
+      changed.push(path);
+    }
+  }
+  return changed;
+}
+
+// Are two paths related (equal, or one inside the other)?
+function related(a, b)
+{
+  return (a === b || a.startsWith(b + '.') || b.startsWith(a + '.'));
+}
+
+// The default value formatter.
+function format(value)
+{
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
+
+// Build a regular expression for the delimiters.
+function interpolation(delimiters)
+{
+  const [open, close] = delimiters.map(d => d.replace(ESCAPE, '\\$&'));
+  return new RegExp(open + '\\s*(.+?)\\s*' + close, 'g');
+}
+
+// Parse a template string into an array of strings and {path} objects.
+function parseTemplate(text, regex)
+{
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(regex))
+  {
+    if (match.index > last)
+    {
+      parts.push(text.slice(last, match.index));
+    }
+    parts.push({path: match[1]});
+    last = match.index + match[0].length;
+  }
+  if (last < text.length)
+  {
+    parts.push(text.slice(last));
+  }
+  return parts;
+}
+
+/**
+ * A binding handle returned by `bind()`.
+ * 
+ * @alias module:@lumjs/web-core-extra/binding.Binding
+ * 
+ * @prop {object} model - The model object; it is updated in place.
+ * @prop {object} options - The compiled options.
+ * @prop {Array} bindings - The individual bindings found.
+ * 
+ * Each binding is an object with a `node` property (the `Text` node or
+ * `Element` being updated), a `type` property (`"text"` or `"attr"`),
+ * and a `paths` property (an `Array` of the model paths it depends on).
+ * Attribute bindings also have a `name` property.
+ */
+class Binding
+{
+  /**
+   * Build a binding handle.
+   * 
+   * Generally you'd use `bind()` rather than calling this directly.
+   * 
+   * @param {(Element|Iterable<Element>)} roots - The element(s) to bind.
+   * @param {object} model - The model object.
+   * @param {object} [options] Options; see `bind()` for details.
+   */
+  constructor(roots, model, options={})
+  {
+    if (isObj(roots) && typeof roots.tagName === S)
+    {
+      roots = [roots];
+    }
+
+    if (!isObj(model))
+    {
+      console.error({model, roots, options});
+      throw new TypeError("model must be an object");
+    }
+
+    this.model = model;
+    this.options = Object.assign({}, DEFAULTS, options);
+    this.bindings = [];
+    this.listeners = [];
+
+    const regex = interpolation(this.options.delimiters);
+    for (const root of roots)
+    {
+      this._scanText(root, regex);
+      this._scanAttrs(root);
+    }
+
+    this.render();
+  }
+
+  // Find all text nodes with interpolations.
+  _scanText(root, regex)
+  {
+    const doc = root.ownerDocument;
+    const walker = doc.createTreeWalker(root, SHOW_TEXT);
+    while (walker.nextNode())
+    {
+      const node = walker.currentNode;
+      if (SKIP_TAGS.includes(node.parentNode?.tagName)) continue;
+
+      const template = parseTemplate(node.nodeValue, regex);
+      const paths = template.filter(part => typeof part !== S)
+        .map(part => part.path);
+      if (paths.length === 0) continue;
+
+      this.bindings.push({node, type: 'text', template, paths});
+    }
+  }
+
+  // Find all elements with binding attributes.
+  _scanAttrs(root)
+  {
+    const prefix = 'data-' + this.options.prefix + '-';
+    const elements = [root, ...root.querySelectorAll('*')];
+
+    for (const node of elements)
+    { // A fragment (or shadow) root has no attributes of its own.
+      for (const attr of Array.from(node.attributes ?? []))
+      {
+        if (!attr.name.startsWith(prefix)) continue;
+
+        const name = attr.name.slice(prefix.length);
+        const path = attr.value.trim();
+        const binding = {node, type: 'attr', name, paths: [path]};
+        this.bindings.push(binding);
+
+        if (name === 'value' && this.options.twoWay && forms.isControl(node))
+        {
+          this._listen(binding);
+        }
+      }
+    }
+  }
+
+  // Add a two-way binding event listener to a form control.
+  _listen(binding)
+  {
+    const node = binding.node;
+    const path = binding.paths[0];
+    const event = CHANGE_TYPES.includes(node.type) ? 'change' : 'input';
+
+    const handler = () =>
+    {
+      let value;
+      const current = getPath(this.model, path);
+
+      if (node.type === 'checkbox')
+      {
+        if (Array.isArray(current))
+        { // Add or remove our value from the list.
+          value = current.filter(item => String(item) !== node.value);
+          if (node.checked) value.push(node.value);
+        }
+        else if (typeof current === B || current === undefined)
+        {
+          value = node.checked;
+        }
+        else
+        {
+          value = node.checked ? node.value : null;
+        }
+      }
+      else if (node.type === 'radio')
+      {
+        if (!node.checked) return;
+        value = node.value;
+      }
+      else
+      {
+        value = forms.getValue(node);
+      }
+
+      setPath(this.model, path, value);
+      this._apply([path], binding);
+
+      if (typeof this.options.onChange === F)
+      {
+        this.options.onChange.call(this, path, value, node);
+      }
+    }
+
+    node.addEventListener(event, handler);
+    this.listeners.push({node, event, handler});
+  }
+
+  // Render a single binding.
+  _renderOne(binding)
+  {
+    const fmt = (typeof this.options.format === F)
+      ? this.options.format
+      : format;
+    const node = binding.node;
+
+    if (binding.type === 'text')
+    {
+      node.nodeValue = binding.template.map(part => (typeof part === S
+        ? part
+        : fmt(getPath(this.model, part.path), part.path, node))).join('');
+      return;
+    }
+
+    const name = binding.name;
+    const path = binding.paths[0];
+    const value = getPath(this.model, path);
+
+    if (name === 'text')
+    {
+      node.textContent = fmt(value, path, node);
+    }
+    else if (name === 'value' && forms.isControl(node))
+    {
+      forms.setValue(node, value);
+    }
+    else if (name === 'class')
+    {
+      if (isObj(value))
+      {
+        for (const cls in value)
+        {
+          node.classList.toggle(cls, Boolean(value[cls]));
+        }
+      }
+      else
+      {
+        node.className = fmt(value, path, node);
+      }
+    }
+    else if (typeof value === B || value === null || value === undefined)
+    {
+      const on = (value === true);
+      node.toggleAttribute(name, on);
+      if (typeof node[name] === B)
+      { // Keep properties like `checked` and `disabled` in sync too.
+        node[name] = on;
+      }
+    }
+    else
+    {
+      node.setAttribute(name, fmt(value, path, node));
+    }
+  }
+
+  // Render the bindings related to any of the changed paths.
+  _apply(changed, skip)
+  {
+    for (const binding of this.bindings)
+    {
+      if (binding === skip) continue;
+      if (binding.paths.some(path => changed.some(c => related(path, c))))
+      {
+        this._renderOne(binding);
+      }
+    }
+  }
+
+  /**
+   * Render all of the bindings from the current model.
+   * 
+   * @returns {object} `this`
+   */
+  render()
+  {
+    for (const binding of this.bindings)
+    {
+      this._renderOne(binding);
+    }
+    return this;
+  }
+
+  /**
+   * Update the model, and the bindings affected by the changes.
+   * 
+   * @param {object} partial - A partial model to merge into the model.
+   * 
+   * Nested plain objects are merged recursively; anything else (including
+   * arrays) replaces the existing value. Only the bindings that depend on
+   * a changed path (or a path inside or containing it) are re-rendered.
+   * Any `__proto__`, `constructor`, or `prototype` keys are ignored.
+   * 
+   * @returns {object} `this`
+   */
+  update(partial)
+  {
+    if (!isObj(partial))
+    {
+      console.error({partial, binding: this});
+      throw new TypeError("partial model must be an object");
+    }
+
+    const changed = merge(this.model, partial);
+    this._apply(changed);
+    return this;
+  }
+
+  /**
+   * Remove any two-way binding event listeners.
+   * 
+   * The bound nodes are left with their current content.
+   * 
+   * @returns {object} `this`
+   */
+  unbind()
+  {
+    for (const {node, event, handler} of this.listeners)
+    {
+      node.removeEventListener(event, handler);
+    }
+    this.listeners.length = 0;
+    return this;
+  }
+
+} // Binding class
+
+exports.Binding = Binding;
+
+/**
+ * Bind elements to a model object.
+ * 
+ * Looks for two kinds of bindings in the elements (and their descendants):
+ * 
+ * - Text interpolations like `{{ user.name }}` in text nodes.
+ *   Text inside `<script>`, `<style>`, and `<textarea>` is ignored.
+ * - Attributes like `data-bind-title="user.name"`, which will set the
+ *   `title` attribute. A few names are special:
+ *   - `data-bind-text` sets the `textContent` of the element.
+ *   - `data-bind-value` sets the value of a form control (using
+ *     `forms.setValue()`), and may be two-way (see `options.twoWay`).
+ *   - `data-bind-class` sets the `className` if the value is a `string`,
+ *     or toggles each class if it's an object of `{className: boolean}`.
+ *   - Anything else sets the attribute; a `boolean` value adds or
+ *     removes the attribute (and sets any matching `boolean` property).
+ * 
+ * @param {(Element|Iterable<Element>)} roots - The element(s) to bind.
+ * @param {object} model - The model object.
+ * 
+ * @param {object} [options] Options
+ * 
+ * @param {string} [options.prefix="bind"] Attribute prefix; the binding
+ * attributes are named `data-{prefix}-{name}`.
+ * 
+ * @param {string[]} [options.delimiters] Opening and closing delimiters
+ * for text interpolation; default `["{{", "}}"]`.
+ * 
+ * @param {boolean} [options.twoWay=false] Update the model from controls?
+ * 
+ * If `true`, form controls with a `data-bind-value` attribute will update
+ * the model (and any other bindings using the same path) when changed.
+ * 
+ * @param {function} [options.onChange] Called after a two-way update;
+ * passed the `path`, the new `value`, and the control `Element`.
+ * 
+ * @param {function} [options.format] Convert values to strings;
+ * passed the `value`, the `path`, and the node being updated.
+ * The default converts `null` and `undefined` to an empty string,
+ * and joins arrays with commas.
+ * 
+ * @returns {module:@lumjs/web-core-extra/binding.Binding}
+ * 
+ * @alias module:@lumjs/web-core-extra/binding.bind
+ */
+function bind(roots, model, options)
+{
+  return new Binding(roots, model, options);
+}
+
+exports.bind = bind;
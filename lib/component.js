@@ -0,0 +1,454 @@
+/**
+ * Custom element definitions built on the wrapper.
+ * @module @lumjs/web-core-extra/component
+ */
+
+"use strict";
+
+const core = require('@lumjs/core');
+const {S,F,isObj} = core.types;
+
+const E = require('./env');
+const ElementsWrapper = require('./wrapper');
+
+const STATES = new WeakMap(); // The private state of each component element.
+const EVENTS_NS = 'component'; // The namespace for event handlers.
+const TYPES = [String, Number, Boolean, Object, Array];
+const WS = /\s+/;
+
+// Get the attribute name for a property name (e.g. `maxItems` → `max-items`).
+function attrName(name)
+{
+  return name.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+}
+
+// Compile a property declaration.
+function compileProp(name, decl)
+{
+  if (TYPES.includes(decl))
+  { // Just a type.
+    decl = {type: decl};
+  }
+  else if (!isObj(decl) || Array.isArray(decl))
+  { // Just a default value.
+    decl = {default: decl};
+  }
+
+  const prop = Object.assign({}, decl);
+  if (!TYPES.includes(prop.type))
+  {
+    const value = prop.default;
+    prop.type = (typeof value === 'boolean') ? Boolean
+      : (typeof value === 'number') ? Number
+      : Array.isArray(value) ? Array
+      : isObj(value) ? Object
+      : String;
+  }
+
+  const isJSON = (prop.type === Object || prop.type === Array);
+  prop.name = name;
+  prop.attribute ??= attrName(name);
+  prop.reflect ??= !isJSON;
+  prop.isJSON = isJSON;
+
+  return prop;
+}
+
+// Convert a value to the type of a property.
+function toProp(prop, value)
+{
+  if (value === undefined || value === null)
+  {
+    return prop.default ?? ((prop.type === Boolean) ? false : null);
+  }
+  else if (prop.type === Boolean)
+  {
+    return Boolean(value);
+  }
+  else if (prop.type === Number)
+  {
+    return Number(value);
+  }
+  else if (prop.type === String)
+  {
+    return String(value);
+  }
+  return value;
+}
+
+// Convert an attribute value to a property value.
+function fromAttribute(prop, value)
+{
+  if (prop.type === Boolean)
+  {
+    return (value !== null);
+  }
+  else if (value !== null && prop.isJSON)
+  {
+    try
+    {
+      return JSON.parse(value);
+    }
+    catch (err)
+    {
+      console.error({prop, value, err});
+      return prop.default ?? null;
+    }
+  }
+  return toProp(prop, value);
+}
+
+// Update an attribute to reflect a property value.
+function reflect(elem, prop, value)
+{
+  if (value === false || value === null || value === undefined)
+  {
+    elem.removeAttribute(prop.attribute);
+  }
+  else
+  {
+    elem.setAttribute(prop.attribute, (prop.type === Boolean) ? ''
+      : prop.isJSON ? JSON.stringify(value) : String(value));
+  }
+}
+
+// Call an optional hook function of a definition.
+function hook(def, name, elem, ...args)
+{
+  const fn = def[name];
+  return (typeof fn === F) ? fn.call(elem, ...args) : undefined;
+}
+
+// Add the styles and template to the root of a component.
+function stamp(elem, def, state)
+{
+  const wrapper = state.wrapper;
+  const root = wrapper.wraps;
+  const doc = elem.ownerDocument;
+
+  let styles = def.styles ?? [];
+  if (typeof styles === S) styles = [styles];
+  for (const css of styles)
+  {
+    const style = doc.createElement('style');
+    style.textContent = css;
+    root.append(style);
+  }
+
+  let template = def.template;
+  if (typeof template === F)
+  {
+    template = template.call(elem, wrapper);
+  }
+
+  if (typeof template === S)
+  {
+    wrapper.addHTML(template);
+  }
+  else if (isObj(template) && template.content
+    && typeof template.content.cloneNode === F)
+  { // A <template> element.
+    root.append(template.content.cloneNode(true));
+  }
+  else if (isObj(template) && typeof template.cloneNode === F)
+  { // Any other node.
+    root.append(template.cloneNode(true));
+  }
+
+  state.stamped = true;
+}
+
+// Register the event handlers of a component.
+function listen(elem, def, state)
+{
+  const events = def.events;
+  if (!isObj(events)) return;
+
+  for (const key in events)
+  {
+    const handler = events[key];
+    const [spec, ...selector] = key.trim().split(WS);
+    const args = [spec + '.' + EVENTS_NS];
+    if (selector.length > 0)
+    {
+      args.push(selector.join(' '));
+    }
+    args.push((...eventArgs) => handler.apply(elem, eventArgs));
+
+    state.wrapper.on(...args);
+  }
+}
+
+/**
+ * A component definition for `defineComponent()`.
+ * 
+ * @typedef {object} module:@lumjs/web-core-extra/component~Definition
+ * 
+ * @prop {(string|Element|Node|function)} [template] The initial content.
+ * 
+ * A `string` is HTML; a `<template>` element will have its `content`
+ * cloned; any other node will be cloned. A `function` will be called
+ * with the root wrapper as its argument (and the element as `this`)
+ * and must return one of the other types.
+ * 
+ * @prop {(string|string[])} [styles] CSS to add in `<style>` elements
+ * before the template.
+ * 
+ * @prop {object} [props] Properties; the keys are property names.
+ * 
+ * The values may be a type (`String`, `Number`, `Boolean`, `Object`,
+ * or `Array`), a default value (the type will be guessed from it),
+ * or an `object` with the following options:
+ * 
+ * - `type`: One of the types listed above.
+ * - `default`: The value used when the property hasn't been set.
+ * - `attribute`: The attribute name, or `false` for no attribute;
+ *   default is the property name in `kebab-case`.
+ * - `reflect`: Update the attribute when the property is set?
+ *   Default is `true`, except for the `Object` and `Array` types.
+ * 
+ * Changing the attribute always updates the property. `Boolean` props
+ * use the presence of the attribute, and `Object` or `Array` props are
+ * stored in attributes as JSON.
+ * 
+ * @prop {object} [events] Event handlers for the root.
+ * 
+ * The keys are an event name (with optional namespaces), optionally
+ * followed by a space and a delegation selector, e.g. `"click button"`.
+ * The values are handler functions, which will be called with the
+ * element as `this`, and the same arguments as handlers for `on()`.
+ * 
+ * The handlers are registered with `on()` when the element is connected
+ * (with a `component` namespace added), and removed when disconnected.
+ * 
+ * @prop {function} [connected] Called when the element is connected,
+ * after the event handlers are registered. Passed the root wrapper.
+ * 
+ * @prop {function} [disconnected] Called when the element is disconnected,
+ * after the event handlers are removed. Passed the root wrapper.
+ * 
+ * @prop {function} [changed] Called when a property changes.
+ * Passed the property name, the new value, and the old value.
+ * 
+ * @prop {(boolean|object)} [shadow=true] Use a shadow root?
+ * 
+ * If `true` an open shadow root is attached, an `object` is used as the
+ * options for `attachShadow()`. The styles and template are added to
+ * the shadow root in the constructor.
+ * 
+ * If `false` the element itself is the root, and the styles and template
+ * are added to it the first time it's connected.
+ * 
+ * @prop {function} [wrapper] The wrapper class to use;
+ * default is `ElementsWrapper`.
+ * 
+ * All of the hooks are called with the element as `this`.
+ */
+
+/**
+ * Define a custom element.
+ * 
+ * Every instance of the element has a `wrapper` property, which is a
+ * wrapper for its root (its shadow root, or the element itself).
+ * 
+ * @param {string} tagName - The tag name; must contain a `-`.
+ * @param {module:@lumjs/web-core-extra/component~Definition} def
+ * The component definition.
+ * 
+ * @param {object} [options] Options for the wrappers.
+ * 
+ * The `document` and `window` options are also used to find the
+ * `customElements` registry and `HTMLElement` class.
+ * 
+ * @returns {function} The new custom element class.
+ * @throws {TypeError} If any of the arguments (or event handlers) are
+ * invalid, the tag name is already defined, or custom elements aren't
+ * supported.
+ * 
+ * @alias module:@lumjs/web-core-extra/component.defineComponent
+ */
+function defineComponent(tagName, def, options={})
+{
+  const env = E.getEnv(options);
+  const registry = env.window?.customElements;
+  const BaseElement = env.window?.HTMLElement;
+
+  if (typeof tagName !== S || !tagName.includes('-') || !isObj(def))
+  {
+    console.error({tagName, def, options});
+    throw new TypeError("Invalid component definition");
+  }
+  if (!registry || typeof BaseElement !== F)
+  {
+    console.error({env});
+    throw new TypeError("Custom elements are not supported");
+  }
+  if (registry.get(tagName))
+  {
+    console.error({tagName, def});
+    throw new TypeError(`The <${tagName}> element is already defined`);
+  }
+
+  const Wrapper = def.wrapper ?? ElementsWrapper;
+  const shadow = def.shadow ?? true;
+
+  const props = new Map();
+  if (isObj(def.props))
+  {
+    for (const name in def.props)
+    {
+      props.set(name, compileProp(name, def.props[name]));
+    }
+  }
+
+  if (isObj(def.events))
+  {
+    for (const key in def.events)
+    {
+      if (typeof def.events[key] !== F)
+      {
+        console.error({tagName, key, handler: def.events[key]});
+        throw new TypeError("Event handlers must be functions");
+      }
+    }
+  }
+
+  const byAttribute = new Map();
+  for (const prop of props.values())
+  {
+    if (prop.attribute) byAttribute.set(prop.attribute, prop);
+  }
+
+  const Component = class extends BaseElement
+  {
+    static get observedAttributes()
+    {
+      return Array.from(byAttribute.keys());
+    }
+
+    constructor()
+    {
+      super();
+
+      let root = this;
+      if (shadow)
+      {
+        root = this.attachShadow(isObj(shadow)
+          ? Object.assign({mode: 'open'}, shadow)
+          : {mode: 'open'});
+      }
+
+      const state =
+      {
+        wrapper: new Wrapper(root, options),
+        values: new Map(),
+        reflecting: null,
+        stamped: false,
+      }
+      STATES.set(this, state);
+
+      for (const name of props.keys())
+      { // Properties set before the element was upgraded.
+        if (Object.hasOwn(this, name))
+        {
+          const value = this[name];
+          delete this[name];
+          this[name] = value;
+        }
+      }
+
+      if (shadow)
+      {
+        stamp(this, def, state);
+      }
+    }
+
+    /**
+     * A wrapper for the root of the component.
+     * @type {module:@lumjs/web-core-extra/wrapper}
+     */
+    get wrapper()
+    {
+      return STATES.get(this).wrapper;
+    }
+
+    connectedCallback()
+    {
+      const state = STATES.get(this);
+      if (!state.stamped)
+      {
+        stamp(this, def, state);
+      }
+      listen(this, def, state);
+      hook(def, 'connected', this, state.wrapper);
+    }
+
+    disconnectedCallback()
+    {
+      const state = STATES.get(this);
+      state.wrapper.off('.' + EVENTS_NS);
+      hook(def, 'disconnected', this, state.wrapper);
+    }
+
+    attributeChangedCallback(attr, oldValue, newValue)
+    {
+      const prop = byAttribute.get(attr);
+      const state = STATES.get(this);
+      if (!prop || state.reflecting === prop.name) return;
+
+      const old = this[prop.name];
+      const value = fromAttribute(prop, newValue);
+      state.values.set(prop.name, value);
+      if (!Object.is(old, value))
+      {
+        hook(def, 'changed', this, prop.name, value, old);
+      }
+    }
+
+  } // Component class
+
+  for (const prop of props.values())
+  {
+    const name = prop.name;
+    Object.defineProperty(Component.prototype, name,
+    {
+      configurable: true,
+      enumerable: true,
+      get()
+      {
+        const values = STATES.get(this).values;
+        return values.has(name) ? values.get(name) : toProp(prop);
+      },
+      set(value)
+      {
+        const state = STATES.get(this);
+        const old = this[name];
+        value = toProp(prop, value);
+        state.values.set(name, value);
+
+        if (prop.reflect && prop.attribute)
+        { // Don't update the property again from the attribute.
+          state.reflecting = name;
+          try
+          {
+            reflect(this, prop, value);
+          }
+          finally
+          {
+            state.reflecting = null;
+          }
+        }
+
+        if (!Object.is(old, value))
+        {
+          hook(def, 'changed', this, name, value, old);
+        }
+      },
+    });
+  }
+
+  registry.define(tagName, Component);
+  return Component;
+}
+
+exports.defineComponent = defineComponent;
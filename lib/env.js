@@ -0,0 +1,723 @@
+/**
+ * Support for alternative DOM environments.
+ * 
+ * Most of the `@lumjs/web-core` functions use the global `document` and
+ * DOM classes (`Element`, `NodeList`, etc.) which means they cannot be
+ * used with a DOM implementation like `jsdom`, `linkedom`, or `happy-dom`
+ * unless those have been assigned as globals.
+ * 
+ * The functions in this module take an `Env` object that contains the
+ * document and DOM classes to use. When the `Env` is for the global
+ * document, they simply call the original `@lumjs/web-core` functions.
+ * 
+ * @module @lumjs/web-core-extra/env
+ */
+
+"use strict";
+
+const core = require('@lumjs/core');
+const {S,B,F,def,isObj} = core.types;
+
+const webcore = require('@lumjs/web-core');
+const U = webcore.utils;
+const Q = webcore.query;
+const {VALID_TAG,POS} = webcore.content;
+
+const ENVS = new WeakMap();
+const EVENT_OPTS = ['capture','once','passive','signal'];
+
+/**
+ * A DOM environment.
+ * 
+ * @typedef {object} module:@lumjs/web-core-extra/env~Env
+ * @prop {Document} document - The document.
+ * @prop {?Window} window - The window (if the document has one).
+ * @prop {function} Node - The `Node` class.
+ * @prop {function} Element - The `Element` class.
+ * @prop {function} Document - The `Document` class.
+ * @prop {function} DocumentFragment - The `DocumentFragment` class.
+ * @prop {function} NodeList - The `NodeList` class.
+ * @prop {function} HTMLCollection - The `HTMLCollection` class.
+ * @prop {function} EventTarget - The `EventTarget` class.
+ * @prop {boolean} isGlobal - Is this the global document?
+ */
+
+// Find a constructor in the prototype chain of an object by name.
+function findClass(obj, name)
+{
+  let proto = Object.getPrototypeOf(obj);
+  while (proto)
+  {
+    if (proto.constructor && proto.constructor.name === name)
+    {
+      return proto.constructor;
+    }
+    proto = Object.getPrototypeOf(proto);
+  }
+  return undefined;
+}
+
+/**
+ * Get the DOM environment for a document.
+ * 
+ * The environment objects are cached, so the same document will
+ * always return the same `Env` object.
+ * 
+ * @param {(object|Document)} [options] A document, or options.
+ * 
+ * @param {Document} [options.document] The document to use.
+ * 
+ * If not specified, it will use `options.window.document` if a window
+ * was specified, otherwise the global `document` will be used.
+ * 
+ * @param {Window} [options.window] The window to use.
+ * 
+ * Only required if the document does not have a `defaultView`,
+ * and you need the `window` for something.
+ * 
+ * @returns {module:@lumjs/web-core-extra/env~Env}
+ * @throws {TypeError} If no document could be found.
+ * 
+ * @alias module:@lumjs/web-core-extra/env.getEnv
+ */
+function getEnv(options={})
+{
+  let doc, win;
+
+  if (isObj(options) && options.nodeType === 9)
+  { // A document was passed directly.
+    doc = options;
+  }
+  else if (isObj(options))
+  {
+    win = options.window;
+    doc = options.document ?? win?.document;
+  }
+
+  doc ??= globalThis.document;
+
+  if (!isObj(doc) || typeof doc.createElement !== F)
+  {
+    console.error({options, doc});
+    throw new TypeError("No valid document found");
+  }
+
+  let env = ENVS.get(doc);
+  if (env) return env;
+
+  win ??= doc.defaultView ?? null;
+
+  const elem = doc.createElement('div');
+  const fromWin = name => (win && typeof win[name] === F) ? win[name] : undefined;
+  const getClass = (name, obj) => fromWin(name) ?? findClass(obj, name);
+
+  env =
+  {
+    document: doc,
+    window: win,
+    Node: getClass('Node', elem),
+    Element: getClass('Element', elem),
+    Document: getClass('Document', doc),
+    DocumentFragment: fromWin('DocumentFragment')
+      ?? doc.createDocumentFragment().constructor,
+    NodeList: fromWin('NodeList')
+      ?? doc.querySelectorAll('*').constructor,
+    HTMLCollection: fromWin('HTMLCollection')
+      ?? doc.getElementsByTagName('*').constructor,
+    EventTarget: getClass('EventTarget', elem),
+    isGlobal: (doc === globalThis.document),
+  }
+
+  Object.freeze(env);
+  ENVS.set(doc, env);
+  return env;
+}
+
+exports.getEnv = getEnv;
+
+/**
+ * Is the argument a DOM container or an Array of nodes?
+ * 
+ * The same as `@lumjs/web-core/utils.isCollection` but using
+ * the classes from an `Env` object.
+ * 
+ * @param {*} subject - Subject we are testing.
+ * @param {module:@lumjs/web-core-extra/env~Env} env - DOM environment.
+ * @param {function} [wanted=env.Element] Class for items in an `Array`.
+ * @returns {boolean}
+ * 
+ * @alias module:@lumjs/web-core-extra/env.isCollection
+ */
+function isCollection(subject, env, wanted=env.Element)
+{
+  if (subject instanceof env.NodeList || subject instanceof env.HTMLCollection)
+  {
+    return true;
+  }
+  return (Array.isArray(subject) && subject.every(item => item instanceof wanted));
+}
+
+exports.isCollection = isCollection;
+
+/**
+ * Is the argument a node with `querySelector*` methods?
+ * 
+ * The same as `@lumjs/web-core/utils.isQueryable` but using
+ * the classes from an `Env` object.
+ * 
+ * @param {*} subject - Subject we are testing.
+ * @param {module:@lumjs/web-core-extra/env~Env} env - DOM environment.
+ * @returns {boolean}
+ * 
+ * @alias module:@lumjs/web-core-extra/env.isQueryable
+ */
+function isQueryable(subject, env)
+{
+  return (subject instanceof env.Element
+    || subject instanceof env.Document
+    || subject instanceof env.DocumentFragment);
+}
+
+exports.isQueryable = isQueryable;
+
+/**
+ * Parse HTML source.
+ * 
+ * The same as `@lumjs/web-core/parser.parseHTML` but the resulting
+ * elements will belong to the document from the `Env` object.
+ * 
+ * @param {string} text - The HTML source to parse.
+ * @param {module:@lumjs/web-core-extra/env~Env} env - DOM environment.
+ * @param {object} [opts] Options; see `parseHTML()` for details.
+ * @returns {mixed} See `parseHTML()` for details.
+ * 
+ * @alias module:@lumjs/web-core-extra/env.parseHTML
+ */
+function parseHTML(text, env, opts={})
+{
+  if (env.isGlobal)
+  {
+    return webcore.parser.parseHTML(text, opts);
+  }
+
+  const doc = env.document;
+
+  if (opts.raw)
+  { // A full document is required.
+    const Parser = env.window?.DOMParser;
+    if (typeof Parser !== F)
+    {
+      throw new TypeError("The raw option requires a window with DOMParser");
+    }
+    return new Parser().parseFromString(text, 'text/html');
+  }
+
+  const tmpl = doc.createElement('template');
+  tmpl.innerHTML = text;
+  const body = tmpl.content;
+
+  const allNodes = opts.allNodes ?? false;
+  const nodes = allNodes ? body.childNodes : body.children;
+  const multiple = opts.multiple ?? (nodes.length > 1);
+
+  if (multiple)
+  {
+    // Copy the live list first, as adopting removes nodes from it.
+    return Array.from(nodes).map(node => doc.adoptNode(node));
+  }
+  else
+  {
+    const element = body.firstElementChild;
+    return element ? doc.adoptNode(element) : null;
+  }
+}
+
+exports.parseHTML = parseHTML;
+
+// Get the nodes to add to a fragment.
+function fragmentNodes(env, content, type)
+{
+  if (typeof content === S)
+  {
+    type ??= VALID_TAG.test(content) ? 'tag' 
+      : (U.guessHTML(content) ? 'html' : 'text');
+
+    if (type === 'tag')
+    {
+      return [env.document.createElement(content)];
+    }
+    else if (type === 'html')
+    {
+      const tmpl = env.document.createElement('template');
+      tmpl.innerHTML = content;
+      return Array.from(tmpl.content.childNodes);
+    }
+    else
+    {
+      return [env.document.createTextNode(content)];
+    }
+  }
+  else if (Array.isArray(content) || isCollection(content, env, env.Node))
+  {
+    return Array.from(content).flatMap(item => fragmentNodes(env, item));
+  }
+
+  return [content];
+}
+
+/**
+ * Add content to a `DocumentFragment` (or a `ShadowRoot`).
+ * 
+ * Fragments don't have the `insertAdjacent*()` methods, or siblings,
+ * so only the `POS.FIRST` and `POS.LAST` positions are supported.
+ * 
+ * @param {module:@lumjs/web-core-extra/env~Env} env - DOM environment.
+ * @param {DocumentFragment} frag - Fragment to add content to.
+ * @param {(string|object)} content - Content to add; see `addContent()`.
+ * @param {string} [pos="beforeend"] Position to add content at.
+ * @param {string} [type] How to treat a `string` content.
+ * 
+ * May be `"html"`, `"text"`, or `"tag"`; if not specified it will be
+ * guessed the same way as `addContent()` does.
+ * 
+ * @returns {void}
+ * @throws {TypeError} If the position is not supported.
+ * 
+ * @alias module:@lumjs/web-core-extra/env.addToFragment
+ */
+function addToFragment(env, frag, content, pos=POS.LAST, type)
+{
+  if (pos !== POS.FIRST && pos !== POS.LAST)
+  {
+    console.error({frag, content, pos});
+    throw new TypeError("Fragments only support the first and last positions");
+  }
+
+  const nodes = fragmentNodes(env, content, type);
+  if (pos === POS.FIRST)
+  {
+    frag.prepend(...nodes);
+  }
+  else
+  {
+    frag.append(...nodes);
+  }
+}
+
+exports.addToFragment = addToFragment;
+
+/**
+ * Add content to an element.
+ * 
+ * The same as `@lumjs/web-core/content.addContent` but uses the
+ * `Env` object to create elements and detect collections.
+ * 
+ * If the `elem` is a `DocumentFragment` (or `ShadowRoot`),
+ * this will use `addToFragment()` instead.
+ * 
+ * @param {module:@lumjs/web-core-extra/env~Env} env - DOM environment.
+ * @param {(Element|DocumentFragment)} elem - Element to add content to.
+ * @param {(string|object)} content - Content to add.
+ * @param {string} [pos="beforeend"] Position to add content at.
+ * @returns {void}
+ * 
+ * @alias module:@lumjs/web-core-extra/env.addContent
+ */
+function addContent(env, elem, content, pos=POS.LAST)
+{
+  if (elem instanceof env.DocumentFragment)
+  {
+    return addToFragment(env, elem, content, pos);
+  }
+
+  if (env.isGlobal)
+  {
+    return webcore.content.addContent(elem, content, pos);
+  }
+
+  if (typeof content === S)
+  {
+    if (VALID_TAG.test(content))
+    { // A tag name, let's make it into an empty element.
+      content = env.document.createElement(content);
+    }
+    else if (U.guessHTML(content))
+    { // Assuming an HTML snippet.
+      return elem.insertAdjacentHTML(pos, content);
+    }
+    else
+    { // Anything else is plain old text.
+      return elem.insertAdjacentText(pos, content);
+    }
+  }
+  else if (Array.isArray(content) || isCollection(content, env, env.Node))
+  {
+    for (const item of content)
+    {
+      addContent(env, elem, item, pos);
+    }
+    return;
+  }
+
+  elem.insertAdjacentElement(pos, content);
+}
+
+exports.addContent = addContent;
+
+/**
+ * Find elements.
+ * 
+ * The same as `@lumjs/web-core/query.find` but using the `Env` object
+ * to detect the root node (which defaults to `env.document`.)
+ * 
+ * A `FindResult` instance may be passed as with the original;
+ * see `findWith()` for the easy way to do that.
+ * 
+ * @param {module:@lumjs/web-core-extra/env~Env} env - DOM environment.
+ * @param {...any} args - See `find()` for details.
+ * @returns {mixed} See `find()` for details.
+ * 
+ * @alias module:@lumjs/web-core-extra/env.find
+ */
+function find(env, ...args)
+{
+  if (env.isGlobal)
+  {
+    return Q.find(...args);
+  }
+
+  let node = env.document, multiple = null, nestOpts = null, result = null;
+  const selectors = [], filters = [];
+
+  for (const arg of args)
+  {
+    if (arg instanceof Q.FindResult)
+    {
+      result ??= arg;
+    }
+    else if (typeof arg === B)
+    {
+      multiple ??= arg;
+    }
+    else if (typeof arg === S)
+    {
+      selectors.push(arg);
+    }
+    else if (typeof arg === F)
+    {
+      filters.push(arg);
+    }
+    else if (isQueryable(arg, env))
+    {
+      node = arg;
+    }
+    else if (isObj(arg))
+    {
+      nestOpts ??= arg;
+    }
+  }
+
+  const getResult = (found) => (result
+    ? result.found(found, {node, multiple, selectors, filters, nestOpts})
+    : found);
+
+  if (selectors.length === 0 && filters.length === 0)
+  {
+    return getResult(multiple ? [] : null);
+  }
+
+  if (multiple === null)
+  {
+    multiple = !(selectors.length === 1 && Q.isSingular(selectors[0]));
+  }
+
+  let found;
+
+  if (selectors.length > 0)
+  {
+    const query = selectors.join(',');
+    found = multiple ? node.querySelectorAll(query) : node.querySelector(query);
+  }
+  else
+  {
+    found = multiple ? U.getNested(node, nestOpts ?? {}) : node.firstElementChild;
+  }
+
+  if (filters.length > 0)
+  {
+    const list = multiple ? found : (found ? [found] : []);
+    const filtered = Array.from(list)
+      .filter(item => filters.every(filter => filter(item)));
+    found = multiple ? filtered : (filtered[0] ?? null);
+  }
+
+  return getResult(found);
+}
+
+exports.find = find;
+
+/**
+ * A `FindResult` that uses the classes from an `Env` object.
+ * 
+ * The original uses the global `Element` class in its accessor
+ * properties, so they would not work with other documents.
+ * 
+ * @alias module:@lumjs/web-core-extra/env.FindResult
+ */
+class FindResult extends Q.FindResult
+{
+  /**
+   * Create a new FindResult instance.
+   * @param {module:@lumjs/web-core-extra/env~Env} env - DOM environment.
+   */
+  constructor(env)
+  {
+    super();
+    def(this, 'env', {value: env});
+  }
+
+  get results()
+  {
+    const found = this.found;
+    if (found instanceof this.env.Element)
+    {
+      return [found];
+    }
+    else if (isCollection(found, this.env))
+    {
+      return Array.from(found);
+    }
+    return [];
+  }
+
+  get length()
+  {
+    return this.results.length;
+  }
+
+  get first()
+  {
+    return this.results[0] ?? null;
+  }
+
+  get last()
+  {
+    const results = this.results;
+    return results[results.length-1] ?? null;
+  }
+}
+
+exports.FindResult = FindResult;
+
+/**
+ * Call `find()` with a `FindResult` object.
+ * 
+ * The same as `@lumjs/web-core/query.findWith` but using the `Env` object;
+ * with any other document the result is an instance of our own
+ * `FindResult` class.
+ * 
+ * @param {module:@lumjs/web-core-extra/env~Env} env - DOM environment.
+ * @param {...any} args - See `find()` for details.
+ * @returns {module:@lumjs/web-core/query.FindResult}
+ * 
+ * @alias module:@lumjs/web-core-extra/env.findWith
+ */
+function findWith(env, ...args)
+{
+  if (env.isGlobal)
+  {
+    return Q.findWith(...args);
+  }
+  return find(env, new FindResult(env), ...args);
+}
+
+exports.findWith = findWith;
+
+/**
+ * Assign a single event handler to an Element.
+ * 
+ * The same as `@lumjs/web-core/events.onEvent` (and accepts the same
+ * arguments) but uses the `Env` object to detect the target element.
+ * 
+ * If the target is a `DocumentFragment` (such as a `ShadowRoot`) this
+ * implementation is used even with the global document, as the original
+ * only supports delegated events on elements.
+ * 
+ * @param {module:@lumjs/web-core-extra/env~Env} env - DOM environment.
+ * @param {...any} args - See `onEvent()` for details.
+ * @returns {object} See `onEvent()` for details.
+ * 
+ * @alias module:@lumjs/web-core-extra/env.onEvent
+ */
+function onEvent(env, ...args)
+{
+  if (env.isGlobal && !args.some(arg => arg instanceof env.DocumentFragment))
+  {
+    return webcore.events.onEvent(...args);
+  }
+
+  const opts = {};
+
+  for (const arg of args)
+  {
+    if (arg instanceof env.EventTarget)
+    {
+      opts.target = arg;
+    }
+    else if (isObj(arg))
+    {
+      if (!opts.handle && typeof arg.handleEvent === F)
+      {
+        opts.handle = arg;
+      }
+      else
+      {
+        Object.assign(opts, arg);
+      }
+    }
+    else if (typeof arg === F)
+    {
+      if (!opts.handle)         opts.handle   = arg;
+      else if (!opts.selector)  opts.selector = arg;
+      else if (!opts.validate)  opts.validate = arg;
+    }
+    else if (typeof arg === S)
+    {
+      if (!opts.event)          opts.event    = arg;
+      else if (!opts.selector)  opts.selector = arg;
+    }
+  }
+
+  if (!(opts.target instanceof env.EventTarget))
+  {
+    console.error(opts);
+    throw new TypeError("Invalid event target");
+  }
+
+  if (!isObj(opts.opts))
+  {
+    opts.opts = {};
+    for (const o of EVENT_OPTS)
+    {
+      if (o in opts)
+      {
+        opts.opts[o] = opts[o];
+      }
+    }
+  }
+
+  const {target, handle, selector} = opts;
+
+  if (selector || opts.validate)
+  { // Delegated event handler.
+    const test = (typeof selector === S)
+      ? (elem => elem.matches(selector))
+      : selector;
+
+    opts.listener = opts.delegated = function(ev)
+    {
+      if (typeof opts.validate === F && !opts.validate(ev, opts)) return;
+
+      let delegate = target;
+      if (test)
+      {
+        delegate = ev.target;
+        while (delegate instanceof env.Element && !test(delegate, ev, opts))
+        {
+          delegate = (delegate === target) ? null : delegate.parentElement;
+        }
+        if (!(delegate instanceof env.Element)) return;
+      }
+
+      def(ev, 'captureTarget', {value: this});
+      if (delegate !== ev.target)
+      {
+        def(ev, 'originalTarget', {value: ev.target});
+        def(ev, 'target',         {value: delegate});
+      }
+
+      return (typeof handle === F)
+        ? handle.call(delegate, ev, opts)
+        : handle.handleEvent(ev, opts);
+    }
+  }
+  else
+  {
+    opts.listener = handle;
+  }
+
+  target.addEventListener(opts.event, opts.listener, opts.opts);
+
+  if (opts.off === true)
+  {
+    opts.off = function()
+    {
+      target.removeEventListener(opts.event, opts.listener, opts.opts);
+    }
+  }
+
+  return opts;
+}
+
+exports.onEvent = onEvent;
+
+/**
+ * Trigger an event.
+ * 
+ * The same as `@lumjs/web-core/eventbuilder.trigger` but uses the
+ * `Env` object for the target and event classes. When not using the
+ * global document, events with a `detail` option are `CustomEvent`
+ * objects, and all others are plain `Event` objects.
+ * 
+ * @param {module:@lumjs/web-core-extra/env~Env} env - DOM environment.
+ * @param {(EventTarget|Iterable<EventTarget>)} target - Target(s).
+ * @param {(string|Event)} event - Event to trigger.
+ * @param {object} [options] Options for the event.
+ * @returns {Array} An array of trigger result objects.
+ * 
+ * @alias module:@lumjs/web-core-extra/env.trigger
+ */
+function trigger(env, target, event, options={})
+{
+  if (env.isGlobal)
+  {
+    return webcore.eventbuilder.trigger(target, event, options);
+  }
+
+  const targets = (target instanceof env.EventTarget) ? [target] : target;
+
+  const build = function()
+  {
+    const win = env.window;
+    const custom = ('detail' in options);
+    if (win)
+    {
+      const Class = custom ? win.CustomEvent : win.Event;
+      return new Class(event, options);
+    }
+    const ev = env.document.createEvent(custom ? 'CustomEvent' : 'Event');
+    if (custom)
+    {
+      ev.initCustomEvent(event, options.bubbles, options.cancelable,
+        options.detail);
+    }
+    else
+    {
+      ev.initEvent(event, options.bubbles, options.cancelable);
+    }
+    return ev;
+  }
+
+  const results = [];
+
+  for (const node of targets)
+  {
+    const evObj = (typeof event === S) ? build() : event;
+    const dispatched = node.dispatchEvent(evObj);
+    results.push({target: node, event: evObj, dispatched});
+  }
+
+  return results;
+}
+
+exports.trigger = trigger;
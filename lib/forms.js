@@ -0,0 +1,517 @@
+/**
+ * Functions for working with form controls.
+ * @module @lumjs/web-core-extra/forms
+ */
+
+"use strict";
+
+const core = require('@lumjs/core');
+const {S,B,F,isObj} = core.types;
+
+const CONTROL_TAGS = ['INPUT', 'SELECT', 'TEXTAREA'];
+const CONTROL_QUERY = 'input, select, textarea';
+const NAME_PARTS = /[^.[\]]+|\[\]/g;
+const INDEX = /^\d+$/;
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Input types that are never included in serialized values.
+ * @alias module:@lumjs/web-core-extra/forms.SKIP_TYPES
+ * @type {string[]}
+ */
+const SKIP_TYPES = ['button', 'submit', 'reset', 'image'];
+
+/**
+ * Supported values for the `format` option of `serialize()`.
+ * 
+ * @alias module:@lumjs/web-core-extra/forms.FORMATS
+ * @type {object}
+ * 
+ * @prop {string} OBJECT  - `"object"`: A plain (possibly nested) object.
+ * @prop {string} FORM    - `"FormData"`: A `FormData` instance.
+ * @prop {string} PARAMS  - `"URLSearchParams"`: A `URLSearchParams` instance.
+ * @prop {string} JSON    - `"json"`: The plain object as a JSON string.
+ */
+const FORMATS = Object.freeze(
+{
+  OBJECT: 'object',
+  FORM:   'FormData',
+  PARAMS: 'URLSearchParams',
+  JSON:   'json',
+});
+
+/**
+ * Is the argument a form control?
+ * 
+ * @param {*} node - Subject we are testing.
+ * @returns {boolean} Will be `true` for `<input>`, `<select>`,
+ * and `<textarea>` elements.
+ * 
+ * @alias module:@lumjs/web-core-extra/forms.isControl
+ */
+function isControl(node)
+{
+  return (isObj(node) && CONTROL_TAGS.includes(node.tagName));
+}
+
+exports.isControl = isControl;
+
+/**
+ * Get all of the form controls in one or more elements.
+ * 
+ * @param {(Element|Iterable<Element>)} roots - The element(s) to look in.
+ * 
+ * Each element may be a `<form>` (in which case its `elements` are used,
+ * which includes controls associated by the `form` attribute), a form
+ * control itself, or any other element containing form controls.
+ * 
+ * @returns {Element[]} The form controls (in document order for
+ * each root), with no duplicates. Buttons are not included.
+ * 
+ * @alias module:@lumjs/web-core-extra/forms.getControls
+ */
+function getControls(roots)
+{
+  if (isObj(roots) && typeof roots.tagName === S)
+  {
+    roots = [roots];
+  }
+
+  const controls = new Set();
+
+  for (const root of roots)
+  {
+    let found;
+    if (root.tagName === 'FORM')
+    {
+      found = root.elements;
+    }
+    else if (isControl(root))
+    {
+      found = [root];
+    }
+    else if (typeof root.querySelectorAll === F)
+    {
+      found = root.querySelectorAll(CONTROL_QUERY);
+    }
+    else
+    {
+      continue;
+    }
+
+    for (const control of found)
+    {
+      if (isControl(control))
+      {
+        controls.add(control);
+      }
+    }
+  }
+
+  return Array.from(controls);
+}
+
+exports.getControls = getControls;
+
+/**
+ * Parse a control name into a path.
+ * 
+ * Both dotted (`user.name`) and bracketed (`user[name]`) nesting are
+ * supported, and may be mixed. A trailing `[]` indicates an array.
+ * 
+ * @example
+ *   parseName('user.roles[]');      // ['user', 'roles', '']
+ *   parseName('items[0][title]');   // ['items', '0', 'title']
+ * 
+ * @param {string} name - The control name.
+ * @returns {string[]} Path segments; an empty string represents `[]`.
+ * 
+ * @alias module:@lumjs/web-core-extra/forms.parseName
+ */
+function parseName(name)
+{
+  const parts = name.match(NAME_PARTS) ?? [];
+  return parts.map(part => (part === '[]' ? '' : part));
+}
+
+exports.parseName = parseName;
+
+/**
+ * Get the value of a form control.
+ * 
+ * @param {Element} control - The form control.
+ * @returns {(string|string[]|FileList)}
+ * 
+ * - A `<select multiple>` returns an `Array` of the selected values.
+ * - A file input returns its `FileList`.
+ * - Anything else returns its `value` property; note that for checkboxes
+ *   and radio buttons this is the value regardless of the checked state.
+ * 
+ * @alias module:@lumjs/web-core-extra/forms.getValue
+ */
+function getValue(control)
+{
+  if (control.type === 'select-multiple')
+  {
+    return Array.from(control.selectedOptions, opt => opt.value);
+  }
+  else if (control.type === 'file')
+  {
+    return control.files;
+  }
+  return control.value;
+}
+
+exports.getValue = getValue;
+
+/**
+ * Set the value of a form control.
+ * 
+ * @param {Element} control - The form control.
+ * 
+ * @param {*} value - The value to set.
+ * 
+ * - Checkboxes are checked if the value is `true`, equal to the `value`
+ *   of the control, or an `Array` that includes the `value` of the control.
+ * - Radio buttons are checked if the value is equal to their `value`.
+ * - A `<select multiple>` will select every option with a value found
+ *   in the value (which may be a single value or an `Array`.)
+ * - File inputs are left alone (browsers don't allow setting them).
+ * - Anything else will have its `value` property set; `null` and
+ *   `undefined` are converted to an empty string.
+ * 
+ * @returns {void}
+ * 
+ * @alias module:@lumjs/web-core-extra/forms.setValue
+ */
+function setValue(control, value)
+{
+  const type = control.type;
+
+  if (type === 'checkbox')
+  {
+    if (typeof value === B)
+    {
+      control.checked = value;
+    }
+    else if (Array.isArray(value))
+    {
+      control.checked = value.map(String).includes(control.value);
+    }
+    else
+    {
+      control.checked = (value !== null && value !== undefined
+        && String(value) === control.value);
+    }
+  }
+  else if (type === 'radio')
+  {
+    control.checked = (value !== null && value !== undefined
+      && String(value) === control.value);
+  }
+  else if (type === 'select-multiple')
+  {
+    const values = (Array.isArray(value) ? value : [value]).map(String);
+    for (const opt of control.options)
+    {
+      opt.selected = values.includes(opt.value);
+    }
+  }
+  else if (type !== 'file')
+  {
+    control.value = value ?? '';
+  }
+}
+
+exports.setValue = setValue;
+
+/**
+ * Get the name/value pairs that a set of controls would submit.
+ * 
+ * Follows the same rules as a browser submitting a form: controls
+ * without a name, disabled controls, unchecked checkboxes and radio
+ * buttons, and buttons are all skipped.
+ * 
+ * @param {(Element|Iterable<Element>)} roots - See `getControls()`.
+ * @param {object} [options] Options
+ * @param {boolean} [options.disabled=false] Include disabled controls?
+ * @returns {Array} An `Array` of `[name, value]` pairs; the values will
+ * be `string` values, except for file inputs which use `File` objects.
+ * 
+ * Pairs from a `<select multiple>` have a third item set to `true`,
+ * which tells `toObject()` to always use an `Array` for them.
+ * 
+ * @alias module:@lumjs/web-core-extra/forms.getPairs
+ */
+function getPairs(roots, options={})
+{
+  const withDisabled = options.disabled ?? false;
+  const pairs = [];
+
+  for (const control of getControls(roots))
+  {
+    const name = control.name;
+    const type = control.type;
+
+    if (!name
+      || (control.disabled && !withDisabled)
+      || SKIP_TYPES.includes(type))
+    { // Not a submittable control.
+      continue;
+    }
+
+    if ((type === 'checkbox' || type === 'radio') && !control.checked)
+    { // Unchecked options aren't submitted.
+      continue;
+    }
+
+    if (type === 'select-multiple')
+    {
+      for (const value of getValue(control))
+      { // Flagged as always being an array.
+        pairs.push([name, value, true]);
+      }
+    }
+    else if (type === 'file')
+    {
+      for (const file of control.files ?? [])
+      {
+        pairs.push([name, file]);
+      }
+    }
+    else
+    {
+      pairs.push([name, control.value]);
+    }
+  }
+
+  return pairs;
+}
+
+exports.getPairs = getPairs;
+
+/**
+ * Build a (possibly nested) object from name/value pairs.
+ * 
+ * Names are parsed with `parseName()`. Names ending with `[]` (and pairs
+ * flagged as coming from a `<select multiple>`) always produce an `Array`;
+ * any other name that is found more than once (such as a group of
+ * checkboxes) will also be converted into an `Array`.
+ * 
+ * Names with a `__proto__`, `constructor`, or `prototype` segment are
+ * skipped, so they can't be used to modify built-in prototypes.
+ * 
+ * @param {Iterable} pairs - `[name, value]` pairs, see `getPairs()`.
+ * @returns {object}
+ * 
+ * @alias module:@lumjs/web-core-extra/forms.toObject
+ */
+function toObject(pairs)
+{
+  const output = {};
+
+  for (const [name, value, multiple] of pairs)
+  {
+    const path = parseName(name);
+    if (path.length === 0 || path.some(key => UNSAFE_KEYS.includes(key)))
+    {
+      continue;
+    }
+
+    let target = output;
+    for (let i=0; i < path.length - 1; i++)
+    {
+      const key  = path[i];
+      const next = path[i+1];
+
+      if (key === '')
+      { // An array of objects, always adds a new item.
+        const item = (next === '' || INDEX.test(next)) ? [] : {};
+        target.push(item);
+        target = item;
+        continue;
+      }
+
+      if (!Object.hasOwn(target, key) || !isObj(target[key]))
+      { // Create a new container.
+        target[key] = (next === '' || INDEX.test(next)) ? [] : {};
+      }
+
+      target = target[key];
+    }
+
+    const last = path[path.length - 1];
+
+    if (last === '')
+    { // Explicitly an array.
+      target.push(value);
+    }
+    else if (multiple && !Array.isArray(target[last]))
+    { // The first value from a multiple selection list.
+      target[last] = [value];
+    }
+    else if (Object.hasOwn(target, last))
+    { // Repeated name, convert to an array.
+      if (!Array.isArray(target[last]))
+      {
+        target[last] = [target[last]];
+      }
+      target[last].push(value);
+    }
+    else
+    {
+      target[last] = value;
+    }
+  }
+
+  return output;
+}
+
+exports.toObject = toObject;
+
+/**
+ * Serialize the values of form controls.
+ * 
+ * @param {(Element|Iterable<Element>)} roots - See `getControls()`.
+ * 
+ * @param {object} [options] Options
+ * 
+ * Any options supported by `getPairs()` may also be used.
+ * 
+ * @param {string} [options.format="object"] Output format.
+ * 
+ * See {@link module:@lumjs/web-core-extra/forms.FORMATS} for a list.
+ * 
+ * The `FormData` and `URLSearchParams` formats use the control names
+ * as-is, while the `object` and `json` formats use `toObject()`.
+ * 
+ * @returns {(object|FormData|URLSearchParams|string)}
+ * @throws {TypeError} If the `format` is not supported.
+ * 
+ * @alias module:@lumjs/web-core-extra/forms.serialize
+ */
+function serialize(roots, options={})
+{
+  const format = options.format ?? FORMATS.OBJECT;
+  const pairs  = getPairs(roots, options);
+
+  switch (format)
+  {
+    case FORMATS.OBJECT:
+      return toObject(pairs);
+    case FORMATS.JSON:
+      return JSON.stringify(toObject(pairs));
+    case FORMATS.FORM:
+    { // Use the FormData class from the same window as the controls.
+      const controls = getControls(roots);
+      const win = controls[0]?.ownerDocument?.defaultView;
+      const FormDataClass = win?.FormData ?? globalThis.FormData;
+      const data = new FormDataClass();
+      for (const [name, value] of pairs)
+      {
+        data.append(name, value);
+      }
+      return data;
+    }
+    case FORMATS.PARAMS:
+    {
+      const params = new URLSearchParams();
+      for (const [name, value] of pairs)
+      {
+        if (typeof value === S)
+        { // Files cannot be used here.
+          params.append(name, value);
+        }
+      }
+      return params;
+    }
+  }
+
+  console.error({format, options});
+  throw new TypeError("Unsupported serialize() format");
+}
+
+exports.serialize = serialize;
+
+// Find a value in a nested object using a parsed name path.
+function getPath(values, path)
+{
+  let value = values;
+  for (const key of path)
+  {
+    if (key === '') break; // Arrays are handled by populate().
+    if (!isObj(value) || !Object.hasOwn(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Populate form controls from an object.
+ * 
+ * The inverse of `serialize()`. Each named control will have its value
+ * looked up from the object, using the same name rules as `toObject()`.
+ * 
+ * @param {(Element|Iterable<Element>)} roots - See `getControls()`.
+ * 
+ * @param {(object|FormData|URLSearchParams)} values - Values to set.
+ * 
+ * If this is a `FormData` or `URLSearchParams` instance, it will be
+ * converted with `toObject()` first.
+ * 
+ * When several text-like controls share a name ending with `[]`, each
+ * will be assigned the next item from the corresponding `Array`.
+ * 
+ * @param {object} [options] Options
+ * 
+ * @param {boolean} [options.clear=false] Clear missing values?
+ * 
+ * If `true`, controls that have no value in `values` will be cleared.
+ * If `false`, controls that have no value in `values` are left alone.
+ * 
+ * @returns {Element[]} The controls that were updated.
+ * 
+ * @alias module:@lumjs/web-core-extra/forms.populate
+ */
+function populate(roots, values, options={})
+{
+  const clear = options.clear ?? false;
+
+  if (isObj(values) && typeof values.entries === F
+    && typeof values.append === F)
+  { // FormData or URLSearchParams.
+    values = toObject(values.entries());
+  }
+
+  const counts = new Map();
+  const updated = [];
+
+  for (const control of getControls(roots))
+  {
+    const name = control.name;
+    if (!name) continue;
+
+    const path = parseName(name);
+    let value = getPath(values, path);
+
+    if (path[path.length-1] === '' && Array.isArray(value)
+      && control.type !== 'checkbox' && control.type !== 'select-multiple')
+    { // Assign array items in order.
+      const index = counts.get(name) ?? 0;
+      counts.set(name, index+1);
+      value = value[index];
+    }
+
+    if (value === undefined && !clear) continue;
+
+    setValue(control, value);
+    updated.push(control);
+  }
+
+  return updated;
+}
+
+exports.populate = populate;
+
+exports.SKIP_TYPES = SKIP_TYPES;
+exports.FORMATS = FORMATS;
@@ -20,6 +20,78 @@ const {POS} = require('@lumjs/web-core').content;
  */
 const Wrapper = require('./wrapper');
 
+/**
+ * Functions for working with form controls.
+ * 
+ * @alias module:@lumjs/web-core-extra.forms
+ * @see module:@lumjs/web-core-extra/forms
+ */
+const forms = require('./forms');
+
+/**
+ * HTML sanitization using allow-lists.
+ * 
+ * @alias module:@lumjs/web-core-extra.sanitize
+ * @see module:@lumjs/web-core-extra/sanitize
+ */
+const sanitize = require('./sanitize');
+
+/**
+ * Declarative validation for form controls.
+ * 
+ * @alias module:@lumjs/web-core-extra.validate
+ * @see module:@lumjs/web-core-extra/validate
+ */
+const validate = require('./validate');
+
+/**
+ * Showing and hiding elements, with optional animations.
+ * 
+ * @alias module:@lumjs/web-core-extra.animate
+ * @see module:@lumjs/web-core-extra/animate
+ */
+const animate = require('./animate');
+
+/**
+ * Data-binding and text interpolation for elements.
+ * 
+ * @alias module:@lumjs/web-core-extra.binding
+ * @see module:@lumjs/web-core-extra/binding
+ */
+const binding = require('./binding');
+
+/**
+ * Custom element definitions built on the wrapper.
+ * 
+ * @alias module:@lumjs/web-core-extra.component
+ * @see module:@lumjs/web-core-extra/component
+ */
+const component = require('./component');
+
+/**
+ * Support for alternative DOM environments.
+ * 
+ * @alias module:@lumjs/web-core-extra.env
+ * @see module:@lumjs/web-core-extra/env
+ */
+const env = require('./env');
+
+/**
+ * Update existing elements to match new content.
+ * 
+ * @alias module:@lumjs/web-core-extra.morph
+ * @see module:@lumjs/web-core-extra/morph
+ */
+const morph = require('./morph');
+
+/**
+ * Batched DOM read/write scheduling.
+ * 
+ * @alias module:@lumjs/web-core-extra.scheduler
+ * @see module:@lumjs/web-core-extra/scheduler
+ */
+const scheduler = require('./scheduler');
+
 /**
  * Build and return a new Wrapper instance.
  * @param {(string|object)} wraps The element(s) to be wrapped.
@@ -34,5 +106,6 @@ function wrap(wraps, options)
 
 module.exports =
 {
-  Wrapper, wrap, POS,
+  Wrapper, wrap, POS, animate, binding, component, env, forms, morph,
+  sanitize, scheduler, validate,
 }
@@ -0,0 +1,324 @@
+/**
+ * Update existing elements to match new content, without replacing them.
+ * @module @lumjs/web-core-extra/morph
+ */
+
+"use strict";
+
+const core = require('@lumjs/core');
+const {S,F,isObj} = core.types;
+
+const ELEMENT_NODE = 1;
+const VALUE_TAGS = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+// Call an optional hook function.
+function hook(options, name, ...args)
+{
+  const fn = options[name];
+  return (typeof fn === F) ? fn(...args) : undefined;
+}
+
+// Get the source nodes to morph to.
+function sourceNodes(source, doc)
+{
+  if (typeof source === S)
+  {
+    const tmpl = doc.createElement('template');
+    tmpl.innerHTML = source;
+    return Array.from(tmpl.content.childNodes);
+  }
+  else if (isObj(source) && typeof source.nodeType === 'number')
+  {
+    return [source];
+  }
+  else if (isObj(source) && typeof source[Symbol.iterator] === F)
+  {
+    return Array.from(source);
+  }
+
+  console.error({source});
+  throw new TypeError("Invalid morph source");
+}
+
+// Can an old node be morphed into a new node?
+function compatible(oldNode, newNode)
+{
+  if (oldNode.nodeType !== newNode.nodeType) return false;
+  if (oldNode.nodeType !== ELEMENT_NODE) return true;
+  return (oldNode.tagName === newNode.tagName && oldNode.id === newNode.id);
+}
+
+// Make the attributes of an old element match a new one.
+function morphAttrs(oldElem, newElem)
+{
+  for (const attr of Array.from(oldElem.attributes))
+  {
+    if (!newElem.hasAttribute(attr.name))
+    {
+      oldElem.removeAttribute(attr.name);
+    }
+  }
+
+  for (const attr of Array.from(newElem.attributes))
+  {
+    if (oldElem.getAttribute(attr.name) !== attr.value)
+    {
+      oldElem.setAttribute(attr.name, attr.value);
+    }
+  }
+}
+
+// Get the markup state of a form control, before it's morphed.
+function markupState(elem)
+{
+  if (elem.tagName === 'TEXTAREA')
+  {
+    return {value: elem.textContent};
+  }
+  const value = elem.getAttribute('value');
+  const checked = elem.hasAttribute('checked');
+  return {value, checked};
+}
+
+// Update the state of a form control, if the new markup changed it.
+function morphValue(oldElem, newElem, before)
+{
+  const tag = oldElem.tagName;
+  if (tag === 'TEXTAREA')
+  {
+    if (newElem.textContent !== before.value)
+    {
+      oldElem.value = newElem.textContent;
+    }
+  }
+  else if (tag === 'INPUT')
+  {
+    const value = newElem.getAttribute('value');
+    if (value !== before.value)
+    {
+      oldElem.value = value ?? '';
+    }
+
+    const checked = newElem.hasAttribute('checked');
+    if (checked !== before.checked
+      && (oldElem.type === 'checkbox' || oldElem.type === 'radio'))
+    {
+      oldElem.checked = checked;
+    }
+  }
+}
+
+/**
+ * Morph a single node (and its children) into a new node.
+ * 
+ * @param {Node} oldNode - The existing node to update.
+ * @param {Node} newNode - The node to make it match.
+ * @param {object} [options] Options; see `morph()`.
+ * @returns {void}
+ * 
+ * @alias module:@lumjs/web-core-extra/morph.morphNode
+ */
+function morphNode(oldNode, newNode, options={})
+{
+  if (hook(options, 'skip', oldNode, newNode)) return;
+
+  if (oldNode.nodeType !== ELEMENT_NODE)
+  {
+    if (oldNode.nodeValue !== newNode.nodeValue)
+    {
+      oldNode.nodeValue = newNode.nodeValue;
+      hook(options, 'updated', oldNode, newNode);
+    }
+    return;
+  }
+
+  const isControl = VALUE_TAGS.includes(oldNode.tagName);
+  const before = isControl ? markupState(oldNode) : null;
+
+  morphAttrs(oldNode, newNode);
+  morphChildren(oldNode, newNode.childNodes, options);
+
+  if (isControl)
+  {
+    morphValue(oldNode, newNode, before);
+  }
+
+  hook(options, 'updated', oldNode, newNode);
+}
+
+exports.morphNode = morphNode;
+
+/**
+ * Morph the children of an element to match a list of new nodes.
+ * 
+ * @param {Element} parent - The existing element.
+ * @param {Iterable<Node>} newNodes - The new child nodes.
+ * @param {object} [options] Options; see `morph()`.
+ * @returns {void}
+ * 
+ * @alias module:@lumjs/web-core-extra/morph.morphChildren
+ */
+function morphChildren(parent, newNodes, options={})
+{
+  const doc = parent.ownerDocument;
+  if (!options.ids)
+  {
+    options = Object.assign({}, options, {ids: new Map()});
+  }
+  const ids = options.ids;
+  const matched = new Set();
+  let current = parent.firstChild;
+
+  for (const newNode of Array.from(newNodes))
+  {
+    let oldNode = null;
+
+    const id = (newNode.nodeType === ELEMENT_NODE) ? newNode.id : '';
+    if (id && ids.has(id))
+    { // An existing element with the same id.
+      const found = ids.get(id);
+      if (found.tagName === newNode.tagName && !found.contains(parent))
+      {
+        oldNode = found;
+        ids.delete(id);
+        if (oldNode !== current)
+        {
+          parent.insertBefore(oldNode, current);
+        }
+        else
+        {
+          current = current.nextSibling;
+        }
+      }
+    }
+    else if (current && compatible(current, newNode))
+    { // Morph the node in the same position.
+      oldNode = current;
+      if (oldNode.id) ids.delete(oldNode.id);
+      current = current.nextSibling;
+    }
+
+    if (oldNode)
+    {
+      matched.add(oldNode);
+      morphNode(oldNode, newNode, options);
+    }
+    else
+    { // A brand new node.
+      const added = doc.importNode(newNode, true);
+      parent.insertBefore(added, current);
+      matched.add(added);
+      hook(options, 'added', added);
+    }
+  }
+
+  // Remove any old nodes that weren't matched.
+  for (const oldNode of Array.from(parent.childNodes))
+  {
+    if (matched.has(oldNode)) continue;
+    if (hook(options, 'preserve', oldNode)) continue;
+    if (oldNode.nodeType === ELEMENT_NODE && oldNode.id
+      && ids.get(oldNode.id) === oldNode)
+    { // May still be matched later in a different parent.
+      continue;
+    }
+    hook(options, 'removed', oldNode);
+    oldNode.remove();
+  }
+}
+
+exports.morphChildren = morphChildren;
+
+/**
+ * Morph an element to match new content.
+ * 
+ * Rather than replacing the existing nodes, this updates them in place
+ * with the minimal attribute, text, and node changes needed; so things
+ * like focus, scroll position, form control values, private `data`, and
+ * event handlers are kept for any nodes that still exist afterwards.
+ * 
+ * Nodes are matched in order, by node type and tag name. Elements with
+ * an `id` are only matched to elements with the same `id`; and may be
+ * moved from anywhere inside the target to where they are needed.
+ * 
+ * The current `value` of a form control is only changed if its `value`
+ * attribute (or text for a `<textarea>`) was changed by the new content,
+ * so any value entered by a user is kept otherwise. Likewise the current
+ * `checked` state of a checkbox or radio button is only changed if its
+ * `checked` attribute was changed.
+ * 
+ * @param {Element} target - The element to update.
+ * 
+ * @param {(string|Node|Iterable<Node>)} source - The new content.
+ * 
+ * A `string` will be parsed as HTML. Nodes are never moved out of
+ * the source; copies are made of any that need to be added.
+ * 
+ * @param {object} [options] Options
+ * 
+ * @param {boolean} [options.childrenOnly=true] Only morph the children?
+ * 
+ * If `true` the `source` is the new content for the target.
+ * If `false` the `source` must be a single element, and the target
+ * element itself (including its attributes) will be morphed to match.
+ * 
+ * @param {function} [options.skip] Skip updating a node?
+ * 
+ * Passed the existing node and the new node; if it returns `true`
+ * the existing node (and its children) will be left alone.
+ * 
+ * @param {function} [options.preserve] Keep a node that isn't needed?
+ * 
+ * Passed an existing node that was not matched; if it returns `true`
+ * the node will not be removed.
+ * 
+ * @param {function} [options.added] Passed each node that was added.
+ * @param {function} [options.removed] Passed each node before it is removed.
+ * @param {function} [options.updated] Passed each existing node (and the
+ * new node) after it was updated.
+ * 
+ * @returns {Element} The `target`.
+ * 
+ * @alias module:@lumjs/web-core-extra/morph.morph
+ */
+function morph(target, source, options={})
+{
+  const doc = target.ownerDocument;
+  const nodes = sourceNodes(source, doc);
+
+  const ids = new Map();
+  for (const elem of target.querySelectorAll('[id]'))
+  {
+    ids.set(elem.id, elem);
+  }
+  options = Object.assign({}, options, {ids});
+
+  if (options.childrenOnly ?? true)
+  {
+    morphChildren(target, nodes, options);
+  }
+  else
+  {
+    const elems = nodes.filter(node => node.nodeType === ELEMENT_NODE);
+    if (elems.length !== 1)
+    {
+      console.error({target, source, elems});
+      throw new TypeError("source must be a single element");
+    }
+    morphNode(target, elems[0], options);
+  }
+
+  // Anything with an id that was never matched is gone now.
+  for (const elem of ids.values())
+  {
+    if (target.contains(elem) && !hook(options, 'preserve', elem))
+    {
+      hook(options, 'removed', elem);
+      elem.remove();
+    }
+  }
+
+  return target;
+}
+
+exports.morph = morph;
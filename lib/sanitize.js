@@ -0,0 +1,295 @@
+/**
+ * HTML sanitization using allow-lists.
+ * @module @lumjs/web-core-extra/sanitize
+ */
+
+"use strict";
+
+const core = require('@lumjs/core');
+const {S,F,isObj} = core.types;
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+const SCHEME = /^([a-z][a-z\d+.-]*):/i;
+const IGNORED = /[\u0000- \u007F-\u009F]/g;
+
+/**
+ * The default sanitization policy.
+ * 
+ * You may change these defaults, or pass a policy object with any of
+ * these properties to override them for a single call.
+ * 
+ * @alias module:@lumjs/web-core-extra/sanitize.DEFAULTS
+ * 
+ * @prop {string[]} tags - Allowed tag names (lowercase).
+ * 
+ * Elements with any other tag name are removed, but their content
+ * is kept (unless the tag is also in `dropContent`).
+ * 
+ * @prop {string[]} dropContent - Tags that are removed with their content.
+ * 
+ * @prop {object} attributes - Allowed attributes.
+ * 
+ * The keys are tag names, and the values are arrays of attribute names.
+ * The special `*` key lists the attributes allowed on any tag.
+ * An attribute name ending with `*` allows any attribute with that prefix.
+ * 
+ * @prop {string[]} urlAttributes - Attributes that contain URLs.
+ * 
+ * @prop {string[]} schemes - Allowed URL schemes (lowercase, without
+ * the colon). URLs without a scheme (i.e. relative URLs) are allowed.
+ * 
+ * @prop {boolean} comments - Keep comments?
+ * 
+ * No matter what the policy says, event handler attributes (`on*`)
+ * and `javascript:` or `vbscript:` URLs are never allowed.
+ */
+const DEFAULTS =
+{
+  tags:
+  [
+    'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo',
+    'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+    'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption',
+    'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+    'i', 'img', 'ins', 'kbd', 'li', 'main', 'mark', 'nav', 'ol', 'p',
+    'picture', 'pre', 'q', 's', 'samp', 'section', 'small', 'source',
+    'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+    'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr',
+  ],
+  dropContent:
+  [
+    'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object',
+    'embed', 'applet', 'noscript', 'noembed', 'noframes', 'title', 'base',
+    'link', 'meta', 'svg', 'math', 'textarea', 'select', 'option',
+  ],
+  attributes:
+  {
+    '*': ['class', 'id', 'title', 'lang', 'dir', 'role', 'aria-*', 'data-*'],
+    a: ['href', 'target', 'rel', 'hreflang'],
+    img: ['src', 'alt', 'width', 'height', 'loading'],
+    source: ['src', 'type', 'media'],
+    td: ['colspan', 'rowspan', 'headers'],
+    th: ['colspan', 'rowspan', 'headers', 'scope'],
+    col: ['span'],
+    colgroup: ['span'],
+    ol: ['start', 'reversed', 'type'],
+    li: ['value'],
+    time: ['datetime'],
+    del: ['cite', 'datetime'],
+    ins: ['cite', 'datetime'],
+    q: ['cite'],
+    blockquote: ['cite'],
+    details: ['open'],
+  },
+  urlAttributes:
+  [
+    'href', 'src', 'cite', 'action', 'formaction', 'poster', 'background',
+    'xlink:href',
+  ],
+  schemes: ['http', 'https', 'mailto', 'tel'],
+  comments: false,
+}
+
+exports.DEFAULTS = DEFAULTS;
+
+/**
+ * Get a compiled policy.
+ * 
+ * @param {(boolean|object)} [policy] The policy.
+ * 
+ * - `true` or `undefined` will return the `DEFAULTS`.
+ * - An `object` will be merged with the `DEFAULTS`;
+ *   the `attributes` object is merged one level deeper.
+ * 
+ * @returns {object}
+ * 
+ * @alias module:@lumjs/web-core-extra/sanitize.getPolicy
+ */
+function getPolicy(policy)
+{
+  if (!isObj(policy))
+  {
+    return DEFAULTS;
+  }
+
+  const compiled = Object.assign({}, DEFAULTS, policy);
+  if (isObj(policy.attributes))
+  {
+    compiled.attributes = Object.assign({}, DEFAULTS.attributes,
+      policy.attributes);
+  }
+
+  return compiled;
+}
+
+exports.getPolicy = getPolicy;
+
+/**
+ * Is a URL safe to use?
+ * 
+ * @param {string} url - The URL to check.
+ * @param {string[]} [schemes] Allowed schemes; default `DEFAULTS.schemes`.
+ * @returns {boolean} `true` if the URL is relative, or has an allowed
+ * scheme (and isn't a `javascript:` or `vbscript:` URL).
+ * 
+ * @alias module:@lumjs/web-core-extra/sanitize.isSafeURL
+ */
+function isSafeURL(url, schemes=DEFAULTS.schemes)
+{
+  // Browsers ignore control characters and whitespace in schemes.
+  const match = String(url).replace(IGNORED, '').match(SCHEME);
+  if (!match) return true; // A relative URL.
+
+  const scheme = match[1].toLowerCase();
+  if (scheme === 'javascript' || scheme === 'vbscript') return false;
+  return schemes.includes(scheme);
+}
+
+exports.isSafeURL = isSafeURL;
+
+// Is an attribute name in a list (supporting prefix* names)?
+function listed(list, name)
+{
+  if (!Array.isArray(list)) return false;
+  return list.some(item => (item.endsWith('*')
+    ? name.startsWith(item.slice(0, -1))
+    : item === name));
+}
+
+// Is an attribute allowed on an element?
+function allowAttr(policy, tag, attr)
+{
+  const name = attr.name.toLowerCase();
+  if (name.startsWith('on')) return false;
+
+  const attrs = policy.attributes;
+  if (!listed(attrs['*'], name) && !listed(attrs[tag], name)) return false;
+
+  if (policy.urlAttributes.includes(name))
+  {
+    return isSafeURL(attr.value, policy.schemes);
+  }
+
+  return true;
+}
+
+/**
+ * Sanitize a node and its descendants in place.
+ * 
+ * @param {Node} node - The node to clean (usually a `DocumentFragment`
+ * or the `content` of a `<template>`). The node itself is not removed,
+ * but its attributes will be cleaned if it's an element.
+ * 
+ * @param {(boolean|object)} [policy] The policy; see `getPolicy()`.
+ * @returns {Node} The `node`.
+ * 
+ * @alias module:@lumjs/web-core-extra/sanitize.sanitizeNode
+ */
+function sanitizeNode(node, policy)
+{
+  policy = getPolicy(policy);
+
+  if (node.nodeType === ELEMENT_NODE)
+  {
+    const tag = node.localName.toLowerCase();
+    for (const attr of Array.from(node.attributes))
+    {
+      if (!allowAttr(policy, tag, attr))
+      {
+        node.removeAttribute(attr.name);
+      }
+    }
+  }
+
+  for (const child of Array.from(node.childNodes))
+  {
+    if (child.nodeType === COMMENT_NODE)
+    {
+      if (!policy.comments) child.remove();
+    }
+    else if (child.nodeType === ELEMENT_NODE)
+    {
+      const tag = child.localName.toLowerCase();
+      if (policy.dropContent.includes(tag))
+      {
+        child.remove();
+      }
+      else if (!policy.tags.includes(tag))
+      { // Keep the (cleaned) content, but lose the element.
+        sanitizeNode(child, policy);
+        child.replaceWith(...child.childNodes);
+      }
+      else
+      {
+        sanitizeNode(child, policy);
+      }
+    }
+    else if (child.nodeType !== TEXT_NODE)
+    { // Nothing else belongs in an HTML snippet.
+      child.remove();
+    }
+  }
+
+  return node;
+}
+
+exports.sanitizeNode = sanitizeNode;
+
+/**
+ * Sanitize an HTML string.
+ * 
+ * The HTML is parsed into the (inert) content of a `<template>` element,
+ * so nothing in it is loaded or run, then cleaned with `sanitizeNode()`.
+ * 
+ * @param {string} html - The HTML to sanitize.
+ * 
+ * @param {(boolean|object|function)} [policy] The policy.
+ * 
+ * If this is a `function` it is a custom sanitizer, which will be passed
+ * the `html` and `doc`, and must return the sanitized HTML `string`.
+ * Anything else is passed to `getPolicy()`.
+ * 
+ * @param {Document} [doc] The document to use; default is the global one.
+ * 
+ * @returns {string} The sanitized HTML.
+ * 
+ * @alias module:@lumjs/web-core-extra/sanitize.sanitizeHTML
+ */
+function sanitizeHTML(html, policy, doc=globalThis.document)
+{
+  if (typeof policy === F)
+  {
+    return policy(html, doc);
+  }
+
+  if (typeof html !== S)
+  {
+    console.error({html, policy});
+    throw new TypeError("html must be a string");
+  }
+
+  const tmpl = doc.createElement('template');
+  tmpl.innerHTML = html;
+  sanitizeNode(tmpl.content, policy);
+  return tmpl.innerHTML;
+}
+
+exports.sanitizeHTML = sanitizeHTML;
+
+/**
+ * Should a sanitization policy value be used?
+ * 
+ * @param {*} policy - The value of a `sanitize` option.
+ * @returns {boolean} `true` unless the policy is `false`, `null`,
+ * or `undefined`.
+ * 
+ * @alias module:@lumjs/web-core-extra/sanitize.isEnabled
+ */
+function isEnabled(policy)
+{
+  return (policy !== undefined && policy !== null && policy !== false);
+}
+
+exports.isEnabled = isEnabled;
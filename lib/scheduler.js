@@ -0,0 +1,235 @@
+/**
+ * Batched DOM read/write scheduling.
+ * 
+ * Reading layout information (sizes, positions, computed styles) right
+ * after changing the DOM forces the browser to re-calculate the layout,
+ * and doing that in a loop (known as _layout thrashing_) is slow.
+ * 
+ * The scheduler queues reads (`measure()`) and writes (`mutate()`)
+ * separately, then runs them in the next animation frame: all of the
+ * queued reads first, then all of the queued writes.
+ * 
+ * @module @lumjs/web-core-extra/scheduler
+ */
+
+"use strict";
+
+const core = require('@lumjs/core');
+const {F} = core.types;
+
+const E = require('./env');
+
+const SCHEDULERS = new WeakMap();
+
+// Run queued tasks, settling their promises.
+function runTasks(tasks)
+{
+  for (const task of tasks)
+  {
+    try
+    {
+      task.resolve(task.fn.call(task.ctx));
+    }
+    catch (err)
+    {
+      task.reject(err);
+    }
+  }
+}
+
+/**
+ * A read/write scheduler.
+ * 
+ * @alias module:@lumjs/web-core-extra/scheduler.Scheduler
+ */
+class Scheduler
+{
+  /**
+   * Build a scheduler.
+   * 
+   * @param {object} [options] Options
+   * 
+   * @param {function} [options.raf] A function to schedule a flush.
+   * 
+   * It will be passed a callback `function` to call when it's time to
+   * run the queued tasks. If not specified, `requestAnimationFrame()`
+   * from `options.window` is used if available, otherwise `setTimeout()`
+   * with a 16ms delay.
+   * 
+   * Tests may use something like `cb => queued.push(cb)` and then call
+   * the callbacks (or `flush()`) whenever they want.
+   * 
+   * @param {Window} [options.window] The window to use.
+   */
+  constructor(options={})
+  {
+    const win = options.window;
+
+    if (typeof options.raf === F)
+    {
+      this.raf = options.raf;
+    }
+    else if (win && typeof win.requestAnimationFrame === F)
+    {
+      this.raf = cb => win.requestAnimationFrame(cb);
+    }
+    else
+    {
+      this.raf = cb => setTimeout(cb, 16);
+    }
+
+    this.reads = [];
+    this.writes = [];
+    this.scheduled = false;
+  }
+
+  /**
+   * Queue a task that reads from the DOM.
+   * 
+   * @param {function} fn - The task; its return value resolves the promise.
+   * @param {object} [ctx] The `this` value for the task.
+   * @returns {Promise} Resolves with the return value of `fn`,
+   * or rejects if it threw an error.
+   */
+  measure(fn, ctx)
+  {
+    return this._queue(this.reads, fn, ctx);
+  }
+
+  /**
+   * Queue a task that writes to the DOM.
+   * 
+   * Writes queued from inside a `measure()` task will be run in the same
+   * flush; but writes queued from a `.then()` on a `measure()` promise
+   * will be in the next flush, as promise callbacks run later.
+   * 
+   * @param {function} fn - The task; its return value resolves the promise.
+   * @param {object} [ctx] The `this` value for the task.
+   * @returns {Promise} Resolves with the return value of `fn`,
+   * or rejects if it threw an error.
+   */
+  mutate(fn, ctx)
+  {
+    return this._queue(this.writes, fn, ctx);
+  }
+
+  /**
+   * Are there any tasks waiting to be run?
+   * @type {boolean}
+   */
+  get pending()
+  {
+    return (this.reads.length > 0 || this.writes.length > 0);
+  }
+
+  /**
+   * Run the queued tasks now.
+   * 
+   * Runs every queued read, then every queued write (including writes
+   * queued by the reads). Anything queued by the writes is left for the
+   * next flush, which will be scheduled automatically.
+   * 
+   * This is called by the scheduled callback, but may also be called
+   * directly (e.g. in tests).
+   * 
+   * @returns {void}
+   */
+  flush()
+  {
+    runTasks(this.reads.splice(0));
+    runTasks(this.writes.splice(0));
+
+    this.scheduled = false;
+    if (this.pending)
+    {
+      this._schedule();
+    }
+  }
+
+  // Add a task to a queue.
+  _queue(queue, fn, ctx)
+  {
+    if (typeof fn !== F)
+    {
+      console.error({fn, ctx, scheduler: this});
+      throw new TypeError("Task must be a function");
+    }
+
+    return new Promise((resolve, reject) =>
+    {
+      queue.push({fn, ctx, resolve, reject});
+      this._schedule();
+    });
+  }
+
+  // Schedule a flush if one isn't already scheduled.
+  _schedule()
+  {
+    if (this.scheduled) return;
+    this.scheduled = true;
+    this.raf(() => this.flush());
+  }
+
+} // Scheduler class
+
+exports.Scheduler = Scheduler;
+
+/**
+ * Get the default scheduler for a DOM environment.
+ * 
+ * There is one default scheduler per window (or per document if there
+ * is no window), so every wrapper using the same window shares it.
+ * 
+ * @param {(object|Document)} [env] An `Env` object, or anything else
+ * that `env.getEnv()` accepts; the global document is used by default.
+ * 
+ * @returns {module:@lumjs/web-core-extra/scheduler.Scheduler}
+ * 
+ * @alias module:@lumjs/web-core-extra/scheduler.getScheduler
+ */
+function getScheduler(env)
+{
+  env = E.getEnv(env);
+  const key = env.window ?? env.document;
+  let scheduler = SCHEDULERS.get(key);
+  if (!scheduler)
+  {
+    scheduler = new Scheduler({window: env.window});
+    SCHEDULERS.set(key, scheduler);
+  }
+  return scheduler;
+}
+
+exports.getScheduler = getScheduler;
+
+/**
+ * Queue a read task with the default global scheduler.
+ * 
+ * @param {function} fn - The task.
+ * @param {object} [ctx] The `this` value for the task.
+ * @returns {Promise}
+ * 
+ * @alias module:@lumjs/web-core-extra/scheduler.measure
+ */
+function measure(fn, ctx)
+{
+  return getScheduler().measure(fn, ctx);
+}
+
+exports.measure = measure;
+
+/**
+ * Queue a write task with the default global scheduler.
+ * 
+ * @param {function} fn - The task.
+ * @param {object} [ctx] The `this` value for the task.
+ * @returns {Promise}
+ * 
+ * @alias module:@lumjs/web-core-extra/scheduler.mutate
+ */
+function mutate(fn, ctx)
+{
+  return getScheduler().mutate(fn, ctx);
+}
+
+exports.mutate = mutate;
@@ -0,0 +1,518 @@
+/**
+ * Declarative validation for form controls.
+ * @module @lumjs/web-core-extra/validate
+ */
+
+"use strict";
+
+const core = require('@lumjs/core');
+const {S,F} = core.types;
+
+const forms = require('./forms');
+
+const MSG_ATTR = 'data-validation-for';
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Is a field value considered empty?
+function isEmpty(value)
+{
+  return (value === null || value === undefined || value === ''
+    || (Array.isArray(value) && value.length === 0));
+}
+
+// Compare two values, numerically if possible.
+function compare(value, param)
+{
+  const a = Number(value), b = Number(param);
+  if (!Number.isNaN(a) && !Number.isNaN(b))
+  {
+    return a - b;
+  }
+  value = String(value);
+  param = String(param);
+  return (value < param) ? -1 : ((value > param) ? 1 : 0);
+}
+
+// Get the length of a value.
+function lengthOf(value)
+{
+  return Array.isArray(value) ? value.length : String(value).length;
+}
+
+/**
+ * A validation rule test function.
+ * 
+ * Rules (other than `required`) are skipped for empty values.
+ * 
+ * @callback RuleTest
+ * @param {*} value - The field value.
+ * @param {*} param - The rule parameter (the value from the rules object).
+ * @param {module:@lumjs/web-core-extra/validate~RuleContext} ctx - Context.
+ * @returns {(boolean|string|Promise)} `true` if the value is valid,
+ * `false` if it is not valid, or a `string` error message.
+ * May also return a `Promise` that resolves to any of those.
+ */
+
+/**
+ * Context information passed to rule tests and message functions.
+ * 
+ * @typedef {object} module:@lumjs/web-core-extra/validate~RuleContext
+ * @prop {string} name - The field name.
+ * @prop {*} value - The field value.
+ * @prop {object} values - The values of all fields (keyed by name).
+ * @prop {Element[]} controls - The controls for the field.
+ * @prop {string} rule - The rule name.
+ * @prop {*} param - The rule parameter.
+ */
+
+/**
+ * The built-in validation rules.
+ * 
+ * You may add your own rules to this object, they must be
+ * {@link module:@lumjs/web-core-extra/validate~RuleTest} functions.
+ * 
+ * - `required: true` → the value must not be empty.
+ * - `pattern: (RegExp|string)` → the value must match; a `string` must
+ *   match the whole value (like the `pattern` attribute).
+ * - `min: (number|string)` → the value must be at least this.
+ * - `max: (number|string)` → the value must be at most this.
+ * - `minLength: number` → the value must be at least this long.
+ * - `maxLength: number` → the value must be no longer than this.
+ * - `length: (number|number[])` → the value must be exactly this long;
+ *   or if an `Array` of `[min, max]`, within that range.
+ * - `email: true` → the value must look like an email address.
+ * - `matches: string` → the value must be the same as the named field.
+ * - `custom: (RuleTest|RuleTest[])` → custom tests, which may be async.
+ * 
+ * @alias module:@lumjs/web-core-extra/validate.RULES
+ * @type {object}
+ */
+const RULES =
+{
+  required: (value) => !isEmpty(value),
+  pattern(value, param)
+  {
+    const re = (param instanceof RegExp)
+      ? param
+      : new RegExp(`^(?:${param})$`, 'u');
+    const values = Array.isArray(value) ? value : [value];
+    return values.every(val => re.test(String(val)));
+  },
+  min: (value, param) => compare(value, param) >= 0,
+  max: (value, param) => compare(value, param) <= 0,
+  minLength: (value, param) => lengthOf(value) >= param,
+  maxLength: (value, param) => lengthOf(value) <= param,
+  length(value, param)
+  {
+    const len = lengthOf(value);
+    if (Array.isArray(param))
+    {
+      return (len >= (param[0] ?? 0) && len <= (param[1] ?? Infinity));
+    }
+    return len === param;
+  },
+  email(value)
+  {
+    const values = Array.isArray(value) ? value : [value];
+    return values.every(val => EMAIL.test(String(val)));
+  },
+  matches: (value, param, ctx) =>
+    String(value) === String(ctx.values[param] ?? ''),
+  async custom(value, param, ctx)
+  {
+    const tests = Array.isArray(param) ? param : [param];
+    for (const test of tests)
+    {
+      const result = await test(value, ctx);
+      if (result !== true)
+      {
+        return result;
+      }
+    }
+    return true;
+  },
+}
+
+exports.RULES = RULES;
+
+/**
+ * The default error messages for the built-in rules.
+ * 
+ * Each value may be a `string`, or a `function` that will be passed
+ * the {@link module:@lumjs/web-core-extra/validate~RuleContext}
+ * and must return a `string`.
+ * 
+ * The `default` message is used for any rule without its own message.
+ * 
+ * @alias module:@lumjs/web-core-extra/validate.MESSAGES
+ * @type {object}
+ */
+const MESSAGES =
+{
+  default:   'This field is invalid.',
+  required:  'This field is required.',
+  pattern:   'Please match the requested format.',
+  min:       ctx => `Must be at least ${ctx.param}.`,
+  max:       ctx => `Must be at most ${ctx.param}.`,
+  minLength: ctx => `Must be at least ${ctx.param} characters.`,
+  maxLength: ctx => `Must be no more than ${ctx.param} characters.`,
+  length:    ctx => (Array.isArray(ctx.param)
+    ? `Must be between ${ctx.param[0]} and ${ctx.param[1]} characters.`
+    : `Must be exactly ${ctx.param} characters.`),
+  email:     'Please enter a valid email address.',
+  matches:   ctx => `Must match the ${ctx.param} field.`,
+}
+
+exports.MESSAGES = MESSAGES;
+
+/**
+ * Get the validation rules from native constraint attributes.
+ * 
+ * Looks for the `required`, `pattern`, `min`, `max`, `minlength`,
+ * and `maxlength` attributes, as well as `type="email"`.
+ * 
+ * @param {Element[]} controls - The controls for a single field.
+ * @returns {object} A rules object for the field.
+ * 
+ * @alias module:@lumjs/web-core-extra/validate.nativeRules
+ */
+function nativeRules(controls)
+{
+  const rules = {};
+
+  for (const control of controls)
+  {
+    if (control.hasAttribute('required'))
+    {
+      rules.required = true;
+    }
+    if (control.hasAttribute('pattern'))
+    {
+      rules.pattern = control.getAttribute('pattern');
+    }
+    for (const attr of ['min', 'max'])
+    {
+      if (control.hasAttribute(attr))
+      {
+        rules[attr] = control.getAttribute(attr);
+      }
+    }
+    for (const [attr, rule] of [['minlength','minLength'],['maxlength','maxLength']])
+    {
+      const len = parseInt(control.getAttribute(attr));
+      if (len >= 0)
+      {
+        rules[rule] = len;
+      }
+    }
+    if (control.type === 'email')
+    {
+      rules.email = true;
+    }
+  }
+
+  return rules;
+}
+
+exports.nativeRules = nativeRules;
+
+/**
+ * Get the value of a field from its controls.
+ * 
+ * - Radio groups use the value of the checked control (or `''`).
+ * - A single checkbox uses its value if checked (or `''`).
+ * - Multiple checkboxes (or a name ending with `[]`) use an `Array`
+ *   of the checked values.
+ * - A `<select multiple>` uses an `Array` of selected values.
+ * - Anything else uses the value of the control (or an `Array` of values
+ *   if there is more than one control with the same name).
+ * 
+ * @param {Element[]} controls - The controls for a single field.
+ * @returns {(string|string[])}
+ * 
+ * @alias module:@lumjs/web-core-extra/validate.fieldValue
+ */
+function fieldValue(controls)
+{
+  const first = controls[0];
+  const multiple = (controls.length > 1 || first.name.endsWith('[]'));
+
+  if (first.type === 'radio')
+  {
+    const checked = controls.find(control => control.checked);
+    return checked ? checked.value : '';
+  }
+  else if (first.type === 'checkbox')
+  {
+    const values = controls
+      .filter(control => control.checked)
+      .map(control => control.value);
+    return multiple ? values : (values[0] ?? '');
+  }
+  else if (multiple)
+  {
+    return controls.flatMap(forms.getValue);
+  }
+  return forms.getValue(first);
+}
+
+exports.fieldValue = fieldValue;
+
+/**
+ * Group form controls into fields by their names.
+ * 
+ * @param {(Element|Iterable<Element>)} roots - See `forms.getControls()`.
+ * @returns {Map} A map of field names to an `Array` of controls.
+ * Disabled controls, buttons, and controls without names are skipped.
+ * 
+ * @alias module:@lumjs/web-core-extra/validate.getFields
+ */
+function getFields(roots)
+{
+  const fields = new Map();
+
+  for (const control of forms.getControls(roots))
+  {
+    if (!control.name || control.disabled
+      || forms.SKIP_TYPES.includes(control.type))
+    {
+      continue;
+    }
+
+    if (fields.has(control.name))
+    {
+      fields.get(control.name).push(control);
+    }
+    else
+    {
+      fields.set(control.name, [control]);
+    }
+  }
+
+  return fields;
+}
+
+exports.getFields = getFields;
+
+// Get the error message for a failed rule.
+function getMessage(ctx, messages)
+{
+  const msg = messages[ctx.rule] ?? MESSAGES[ctx.rule]
+    ?? messages.default ?? MESSAGES.default;
+  return (typeof msg === F) ? msg(ctx) : msg;
+}
+
+// Add or remove an id from the aria-describedby attribute.
+function describedBy(control, id, add)
+{
+  const ids = (control.getAttribute('aria-describedby') ?? '')
+    .split(/\s+/)
+    .filter(item => item !== '' && item !== id);
+
+  if (add)
+  {
+    ids.push(id);
+  }
+
+  if (ids.length)
+  {
+    control.setAttribute('aria-describedby', ids.join(' '));
+  }
+  else
+  {
+    control.removeAttribute('aria-describedby');
+  }
+}
+
+// Render (or remove) the error message element for a field.
+function renderMessage(name, controls, errors, options)
+{
+  const last = controls[controls.length - 1];
+  const parent = last.parentNode;
+  if (!parent) return;
+
+  let msgElem = null;
+  for (const child of parent.children)
+  {
+    if (child.getAttribute(MSG_ATTR) === name)
+    {
+      msgElem = child;
+      break;
+    }
+  }
+
+  const id = msgElem?.id || `${controls[0].id || name}-validation`;
+
+  if (errors.length === 0)
+  { // No errors, remove any existing message.
+    if (msgElem)
+    {
+      msgElem.remove();
+    }
+    for (const control of controls)
+    {
+      describedBy(control, id, false);
+    }
+    return;
+  }
+
+  if (!msgElem)
+  {
+    msgElem = last.ownerDocument.createElement(options.messageTag ?? 'div');
+    msgElem.className = options.messageClass ?? 'validation-message';
+    msgElem.id = id;
+    msgElem.setAttribute(MSG_ATTR, name);
+    last.after(msgElem);
+  }
+
+  msgElem.textContent = errors.map(error => error.message).join(' ');
+
+  for (const control of controls)
+  {
+    describedBy(control, id, true);
+  }
+}
+
+/**
+ * The result of a validation.
+ * 
+ * @typedef {object} module:@lumjs/web-core-extra/validate~Result
+ * @prop {boolean} valid - Were all fields valid?
+ * @prop {object} errors - Any errors found, keyed by field name.
+ * 
+ * Each value is an `Array` of objects with `rule` and `message`
+ * properties; only fields that failed a rule will be included.
+ * 
+ * @prop {object} values - The values of all fields, keyed by field name.
+ */
+
+/**
+ * Validate form controls.
+ * 
+ * @param {(Element|Iterable<Element>)} roots - See `forms.getControls()`.
+ * 
+ * @param {object} [rules] Validation rules, keyed by field name.
+ * 
+ * Each value is an object where the keys are rule names from `RULES`
+ * and the values are the rule parameters; a parameter of `false`, `null`
+ * or `undefined` disables that rule. A special `messages` property may
+ * be used to override the error messages for that field.
+ * 
+ * @param {object} [options] Options
+ * 
+ * @param {boolean} [options.native=true] Use native constraint attributes?
+ * 
+ * If `true`, rules are generated using `nativeRules()` for each field;
+ * any explicit `rules` for a field will override the native rules.
+ * 
+ * @param {object} [options.messages] Error messages for all fields.
+ * 
+ * Uses the same format as `MESSAGES`, which it overrides.
+ * 
+ * @param {boolean} [options.aria=true] Toggle `aria-invalid` on controls?
+ * 
+ * @param {boolean} [options.render=false] Render error messages?
+ * 
+ * If `true`, an element with the error messages for each invalid field
+ * will be inserted after the last control of the field, and referenced
+ * by the `aria-describedby` attribute of the controls. Existing message
+ * elements are updated, or removed when a field becomes valid.
+ * 
+ * @param {string} [options.messageTag="div"] Tag for message elements.
+ * @param {string} [options.messageClass="validation-message"] Class
+ * for message elements.
+ * 
+ * @param {boolean} [options.bail=false] Stop checking a field after
+ * the first rule that fails?
+ * 
+ * @returns {Promise<module:@lumjs/web-core-extra/validate~Result>}
+ * @throws {TypeError} If an unknown rule name was used.
+ * 
+ * @alias module:@lumjs/web-core-extra/validate.validate
+ */
+async function validate(roots, rules={}, options={})
+{
+  const useNative = options.native ?? true;
+  const useAria   = options.aria   ?? true;
+  const render    = options.render ?? false;
+  const bail      = options.bail   ?? false;
+
+  const fields = getFields(roots);
+  const values = {};
+  const errors = {};
+
+  for (const [name, controls] of fields)
+  {
+    values[name] = fieldValue(controls);
+  }
+
+  for (const [name, controls] of fields)
+  {
+    const fieldRules = Object.assign({},
+      useNative ? nativeRules(controls) : null,
+      rules[name]);
+
+    const messages = Object.assign({}, options.messages, fieldRules.messages);
+    const value = values[name];
+    const empty = isEmpty(value);
+    const fieldErrors = [];
+
+    for (const rule in fieldRules)
+    {
+      if (rule === 'messages') continue;
+
+      const param = fieldRules[rule];
+      if (param === false || param === null || param === undefined) continue;
+
+      const test = RULES[rule];
+      if (typeof test !== F)
+      {
+        console.error({rule, name, rules});
+        throw new TypeError("Unknown validation rule");
+      }
+
+      if (empty && rule !== 'required') continue;
+
+      const ctx = {name, value, values, controls, rule, param};
+      const result = await test(value, param, ctx);
+      if (result === true) continue;
+
+      const message
+        = (typeof result === S && result !== '')
+        ? result
+        : getMessage(ctx, messages);
+
+      fieldErrors.push({rule, message});
+      if (bail) break;
+    }
+
+    if (fieldErrors.length)
+    {
+      errors[name] = fieldErrors;
+    }
+
+    if (useAria)
+    {
+      for (const control of controls)
+      {
+        if (fieldErrors.length)
+        {
+          control.setAttribute('aria-invalid', 'true');
+        }
+        else
+        {
+          control.removeAttribute('aria-invalid');
+        }
+      }
+    }
+
+    if (render)
+    {
+      renderMessage(name, controls, fieldErrors, options);
+    }
+  }
+
+  return {valid: Object.keys(errors).length === 0, errors, values};
+}
+
+exports.validate = validate;
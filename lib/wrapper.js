@@ -1,789 +1,3977 @@
 "use strict";
 
 const core = require('@lumjs/core');
-const {S,N,F,def,isObj} = core.types;
+const {S,N,F,B,def,isObj} = core.types;
 
 const webcore = require('@lumjs/web-core');
 
-const {parseHTML} = webcore.parser;
-const {onEvent}   = webcore.events;
-const {trigger}   = webcore.eventbuilder;
+const {isListener} = webcore.events;
 
-const {VALID_TAG,POS,addContent,addHTML,addText} = webcore.content;
+const {VALID_TAG,POS,addHTML,addText} = webcore.content;
 
 const U = webcore.utils;
-const Q = webcore.query;
+
+const E = require('./env');
+const forms = require('./forms');
+const validation = require('./validate');
+const binding = require('./binding');
+const morphing = require('./morph');
+const sanitizer = require('./sanitize');
+const animate = require('./animate');
+const scheduling = require('./scheduler');
 
 const WRAPPER_DATA = Symbol('LumWebCoreWrapperDataMap');
 const WRAPPER_OPTS = Symbol('LumWebCoreWrapperOptions');
+const WRAPPER_EVENTS = Symbol('LumWebCoreWrapperEvents');
+const WRAPPER_ROWS = Symbol('LumWebCoreWrapperListRows');
+const WRAPPER_WATCH = Symbol('LumWebCoreWrapperWatchers');
+const WRAPPER_PLUGINS = Symbol('LumWebCoreWrapperPlugins');
+const WRAPPER_COMPILED = Symbol('LumWebCoreWrapperCompiledOptions');
+
+// The identity cache used by _make(); Element → Map(options → wrappers).
+const WRAPPER_CACHE = new WeakMap();
+
+// The environment of the wrapper that _make() is making a new wrapper for;
+// used by the constructor if the new wrapper has no nodes to get it from.
+let makingEnv = null;
+
+// Closed shadow roots attached by shadow(); Element → ShadowRoot.
+const SHADOW_ROOTS = new WeakMap();
+
+// Values (other than objects) written to data attributes by dataset();
+// Element → Map(key → {text, value}). Used to read back the original value
+// as long as the attribute hasn't been changed since.
+const ATTR_DATA = new WeakMap();
+
+// The observer class used for each watch() type.
+const WATCH_TYPES =
+{
+  mutation: 'MutationObserver',
+  resize: 'ResizeObserver',
+  visible: 'IntersectionObserver',
+}
+
+// The MutationObserver options supported by watch().
+const MUTATION_OPTS = 
+[
+  'childList', 'subtree', 'attributes', 'attributeFilter', 
+  'attributeOldValue', 'characterData', 'characterDataOldValue',
+];
+
+const AP = Array.prototype;
+const WSP = /\s+/;
+const DOCUMENT_NODE = 9; // Node.DOCUMENT_NODE
+const SIMPLE_TAG = /^[a-z][\w-]*$/i;
+const NUMERIC = /^-?(?:\d+|\d*\.\d+)(?:e[+-]?\d+)?$/i;
+
+// Get (or create) the plugin registry of a wrapper class.
+function registryOf(cls)
+{
+  if (!Object.hasOwn(cls, WRAPPER_PLUGINS))
+  {
+    def(cls, WRAPPER_PLUGINS, {value: {extensions: [], used: new Set()}});
+  }
+  return cls[WRAPPER_PLUGINS];
+}
+
+// Get the plugins for a wrapper class (including its parent classes).
+function pluginsOf(cls)
+{
+  const plugins = [];
+  while (typeof cls === F && cls !== Function.prototype)
+  {
+    if (Object.hasOwn(cls, WRAPPER_PLUGINS))
+    {
+      plugins.unshift(...cls[WRAPPER_PLUGINS].extensions);
+    }
+    cls = Object.getPrototypeOf(cls);
+  }
+  return plugins;
+}
+
+// Is a plugin already used by a wrapper class (or one of its parent classes)?
+function usesPlugin(cls, plugin)
+{
+  while (typeof cls === F && cls !== Function.prototype)
+  {
+    if (Object.hasOwn(cls, WRAPPER_PLUGINS)
+      && cls[WRAPPER_PLUGINS].used.has(plugin))
+    {
+      return true;
+    }
+    cls = Object.getPrototypeOf(cls);
+  }
+  return false;
+}
+
+// Get the default options from the plugins for a wrapper class.
+function pluginOptions(cls)
+{
+  const defaults = {};
+  for (const plugin of pluginsOf(cls))
+  {
+    Object.assign(defaults, plugin.options);
+  }
+  return defaults;
+}
+
+// Get the individual wrapped nodes, without copying them.
+// The result may be an Array or a DOM collection, so only use it as an 
+// iterable or array-like object, and don't modify it. DOM collections may
+// be live, so use staticNodes() instead if we'll be changing the DOM.
+function nodesOf(wrapper)
+{
+  if (!wrapper.isValid) return [];
+  if (!wrapper.isCollection) return [wrapper.wraps];
+  return wrapper.wraps;
+}
+
+// Get an array of the individual wrapped nodes that won't change while
+// we're changing the DOM. Arrays are returned as is (so don't modify the
+// result), while DOM collections are copied (as they may be live).
+function staticNodes(wrapper)
+{
+  const nodes = nodesOf(wrapper);
+  return Array.isArray(nodes) ? nodes : Array.from(nodes);
+}
+
+// Get a cached wrapper for an element.
+function cachedWrapper(elem, options, cls)
+{
+  const found = WRAPPER_CACHE.get(elem)?.get(options);
+  return found?.get(cls);
+}
+
+// Add a wrapper to the identity cache.
+function cacheWrapper(elem, options, wrapper)
+{
+  let byOpts = WRAPPER_CACHE.get(elem);
+  if (!byOpts)
+  {
+    byOpts = new Map();
+    WRAPPER_CACHE.set(elem, byOpts);
+  }
+
+  let byClass = byOpts.get(options);
+  if (!byClass)
+  {
+    byClass = new Map();
+    byOpts.set(options, byClass);
+  }
+
+  byClass.set(wrapper.constructor, wrapper);
+}
+
+// Get the first wrapped node, or null if there isn't one.
+function firstNode(wrapper)
+{
+  if (!wrapper.isValid) return null;
+  return wrapper.isCollection ? (wrapper.wraps[0] ?? null) : wrapper.wraps;
+}
+
+// Assign a value (or the result of a ValueCallback) to every wrapped node.
+function setEach(wrapper, value, current, assign)
+{
+  const nodes = staticNodes(wrapper);
+  for (let i=0; i < nodes.length; i++)
+  {
+    const node = nodes[i];
+    const val = (typeof value === F)
+      ? value.call(node, i, current(node), node, wrapper)
+      : value;
+    assign(node, val);
+  }
+  return wrapper;
+}
+
+// Split a space-separated string (or an array of them) into a list of names.
+function splitNames(names)
+{
+  if (typeof names === S)
+  {
+    names = names.trim();
+    return (names === '') ? [] : names.split(WSP);
+  }
+  else if (Array.isArray(names))
+  {
+    return names.flatMap(splitNames);
+  }
+  return [];
+}
+
+// Apply a list of class names to the classList of every wrapped node.
+function eachClassList(wrapper, names, apply)
+{
+  return setEach(wrapper, names,
+    node => node.getAttribute('class') ?? '',
+    (node, val) => 
+    {
+      if (node.classList)
+      {
+        apply(node.classList, splitNames(val), node);
+      }
+    });
+}
+
+// Compile a NodeTest into a function.
+function nodeTest(test, env)
+{
+  if (test === undefined || test === null)
+  { // No test, everything passes.
+    return () => true;
+  }
+  else if (typeof test === S)
+  { // A selector query.
+    return node => (typeof node.matches === F && node.matches(test));
+  }
+  else if (typeof test === F)
+  { // A custom test.
+    return node => test.call(node, node);
+  }
+  else if (test instanceof ElementsWrapper)
+  { // Any of the wrapped elements.
+    const nodes = nodesOf(test);
+    return node => AP.includes.call(nodes, node);
+  }
+  else if (test instanceof env.Element)
+  { // A specific element.
+    return node => node === test;
+  }
+  else if (E.isCollection(test, env))
+  { // Any element in a collection.
+    const nodes = Array.from(test);
+    return node => nodes.includes(node);
+  }
+
+  console.error({test});
+  throw new TypeError("Invalid node test");
+}
+
+// Compile an EachCallback or NodeTest into a test function.
+function eachTest(test, env)
+{
+  if (typeof test === F)
+  {
+    return (node, i, wrapper) => test.call(node, i, node, wrapper);
+  }
+  return nodeTest(test, env);
+}
+
+// Build a wrapper from the de-duplicated nodes found by a gather function.
+function collect(wrapper, gather)
+{
+  const found = new Set();
+  for (const node of nodesOf(wrapper))
+  {
+    gather(node, found);
+  }
+  return wrapper._make(Array.from(found));
+}
+
+// Sort nodes into document order, removing any duplicates.
+function documentOrder(nodes)
+{
+  return Array.from(new Set(nodes)).sort(function(a, b)
+  { // 4 is Node.DOCUMENT_POSITION_FOLLOWING
+    if (a === b) return 0;
+    return (a.compareDocumentPosition(b) & 4) ? -1 : 1;
+  });
+}
+
+// Get the nodes from an element, collection, or wrapper; see nodesOf().
+function nodesFrom(value, env)
+{
+  if (value === undefined || value === null)
+  {
+    return [];
+  }
+  else if (value instanceof ElementsWrapper)
+  {
+    return nodesOf(value);
+  }
+  else if (value instanceof env.Node)
+  {
+    return [value];
+  }
+  else if (E.isCollection(value, env))
+  {
+    return Array.from(value);
+  }
+
+  console.error({value});
+  throw new TypeError("Expected an element, collection, or wrapper");
+}
+
+// Get the environment options for the constructor.
+// If no document or window was specified, use the environment of a wrapper,
+// or the document that is (or owns) the node (or the first node in an array
+// or collection) being wrapped; or failing that, the `parent` environment.
+function envOptions(wraps, options, parent)
+{
+  if (options.document || options.window) return options;
+
+  if (wraps instanceof ElementsWrapper)
+  {
+    return {document: wraps.env.document};
+  }
+
+  const node = (isObj(wraps) 
+    && wraps.nodeType === undefined && typeof wraps.length === N)
+    ? wraps[0]
+    : wraps;
+
+  const doc = (node?.nodeType === DOCUMENT_NODE) ? node : node?.ownerDocument;
+  if (isObj(doc)) return {document: doc};
+
+  return parent ? {document: parent.document} : options;
+}
+
+// Can a node be wrapped (on its own, or in an Array)?
+function isWrappable(node, env, nodeClass)
+{
+  return (node instanceof nodeClass || node instanceof env.DocumentFragment);
+}
+
+// Get the nodes to search in; with `deep` that includes open shadow roots.
+function searchRoots(node, deep)
+{
+  const roots = [node];
+  if (deep)
+  {
+    for (let i=0; i < roots.length; i++)
+    { // Any roots added are searched as well.
+      const root = roots[i];
+      if (root.shadowRoot) roots.push(root.shadowRoot);
+      for (const elem of root.querySelectorAll('*'))
+      {
+        if (elem.shadowRoot) roots.push(elem.shadowRoot);
+      }
+    }
+  }
+  return roots;
+}
+
+// Get every element in some nodes, including inside open shadow roots;
+// the contents of a shadow root come right after its host element.
+function deepElements(nodes)
+{
+  const found = [];
+  const walk = function(node)
+  {
+    for (const elem of node.querySelectorAll('*'))
+    {
+      found.push(elem);
+      if (elem.shadowRoot) walk(elem.shadowRoot);
+    }
+  }
+
+  for (const node of nodes)
+  {
+    if (node.shadowRoot) walk(node.shadowRoot);
+    walk(node);
+  }
+
+  return found;
+}
+
+// Sort nodes found by a deep search into the order of deepElements(),
+// removing any duplicates.
+function composedOrder(nodes, roots)
+{
+  const order = new Map();
+  for (const elem of deepElements(documentOrder(roots)))
+  {
+    if (!order.has(elem)) order.set(elem, order.size);
+  }
+  const pos = node => order.get(node) ?? Infinity;
+  return Array.from(new Set(nodes)).sort((a, b) => pos(a) - pos(b));
+}
+
+// Search every wrapped node (and with `deep`, the shadow roots in them).
+// The search function may return a node, a collection, or nothing.
+// Returns an Array of the nodes found, in order, without duplicates.
+function searchEach(wrapper, deep, find)
+{
+  const env = wrapper.env;
+  const nodes = AP.filter.call(nodesOf(wrapper), 
+    node => E.isQueryable(node, env));
+  const results = [];
+
+  for (const node of nodes)
+  {
+    for (const root of searchRoots(node, deep))
+    {
+      const found = find(root);
+      if (found instanceof env.Element)
+      {
+        results.push(found);
+      }
+      else if (E.isCollection(found, env))
+      {
+        results.push(...found);
+      }
+    }
+  }
+
+  return deep ? composedOrder(results, nodes) : documentOrder(results);
+}
+
+// Is a query a RegExp or a QueryObject (a plain object)?
+function isSearch(query)
+{
+  if (query instanceof RegExp) return true;
+  if (!isObj(query) || Array.isArray(query)) return false;
+  const proto = Object.getPrototypeOf(query);
+  return (proto === Object.prototype || proto === null);
+}
+
+// Does a string match a text test (a RegExp, or a substring)?
+function matchText(test, value)
+{
+  if (test instanceof RegExp)
+  {
+    test.lastIndex = 0; // In case it has the `g` or `y` flags.
+    return test.test(value);
+  }
+  return value.includes(String(test));
+}
+
+// Compile a criteria object into an element test.
+function criteriaTest(criteria)
+{
+  const {attrs, text} = criteria;
+  const tag = (typeof criteria.tag === S) ? criteria.tag.toLowerCase() : null;
+  const classes = splitNames(criteria.class);
+
+  return function(elem)
+  {
+    if (tag !== null && elem.localName.toLowerCase() !== tag) return false;
+
+    for (const name of classes)
+    {
+      if (!elem.classList.contains(name)) return false;
+    }
+
+    if (isObj(attrs))
+    {
+      for (const name in attrs)
+      {
+        const want = attrs[name], value = elem.getAttribute(name);
+        if (want === true || want === false)
+        { // Only checking if the attribute exists.
+          if ((value !== null) !== want) return false;
+        }
+        else if (value === null) 
+        {
+          return false;
+        }
+        else if (want instanceof RegExp ? !matchText(want, value) 
+          : value !== String(want))
+        {
+          return false;
+        }
+      }
+    }
+
+    if (text !== undefined && text !== null 
+      && !matchText(text, elem.textContent))
+    {
+      return false;
+    }
+
+    return true;
+  }
+}
+
+// Compile a RegExp, XPath, or criteria query into a search function.
+// The search function returns an array of matching elements in a node.
+function compileSearch(query, env)
+{
+  if (query instanceof RegExp)
+  { // The innermost elements with matching text.
+    return function(root)
+    {
+      const matched = new Set(), outer = new Set();
+      for (const elem of root.querySelectorAll('*'))
+      {
+        if (matchText(query, elem.textContent))
+        {
+          matched.add(elem);
+          for (let p = elem.parentElement; p && p !== root; p = p.parentElement)
+          {
+            outer.add(p);
+          }
+        }
+      }
+      return Array.from(matched).filter(elem => !outer.has(elem));
+    }
+  }
+  else if (isObj(query) && typeof query.xpath === S)
+  { // An XPath expression.
+    return function(root)
+    {
+      const doc = root.ownerDocument ?? root;
+      if (typeof doc.evaluate !== F)
+      {
+        console.error({query, doc});
+        throw new TypeError("XPath is not supported by the document");
+      }
+      // 7 is XPathResult.ORDERED_NODE_SNAPSHOT_TYPE
+      const result = doc.evaluate(query.xpath, root, query.resolver ?? null, 7);
+      const found = [];
+      for (let i=0; i < result.snapshotLength; i++)
+      {
+        const node = result.snapshotItem(i);
+        if (node instanceof env.Element)
+        {
+          found.push(node);
+        }
+      }
+      return found;
+    }
+  }
+  else if (isObj(query))
+  { // A criteria object.
+    const test = criteriaTest(query);
+    const selector = (typeof query.tag === S && SIMPLE_TAG.test(query.tag))
+      ? query.tag 
+      : '*';
+    return function(root, multiple)
+    {
+      const elems = root.querySelectorAll(selector);
+      if (multiple)
+      {
+        return Array.from(elems).filter(test);
+      }
+      for (const elem of elems)
+      {
+        if (test(elem)) return [elem];
+      }
+      return [];
+    }
+  }
+
+  console.error({query});
+  throw new TypeError("Invalid query");
+}
+
+// Run a RegExp, XPath, or criteria query for get() or find().
+function search(wrapper, query, options, multiple)
+{
+  const find = compileSearch(query, wrapper.env);
+  const wrap = options.wrapQueries ?? true;
+  const withInfo = options.queryDetails ?? false;
+  const deep = options.deep ?? false;
+  const details = [];
+
+  let results = searchEach(wrapper, deep, function(node)
+  {
+    const found = find(node, multiple);
+    if (withInfo)
+    {
+      details.push({node, query, found});
+    }
+    return found;
+  });
+
+  if (multiple)
+  {
+    results = wrapper.isValid ? results : null;
+  }
+  else
+  {
+    results = results[0] ?? null;
+  }
+
+  const retVal = wrap ? wrapper._make(results) : results;
+
+  if (withInfo && isObj(retVal))
+  {
+    def(retVal, '$findWith',     {value: details});
+    def(retVal, '$queryOptions', {value: options});
+  }
+
+  return retVal;
+}
+
+// Walk sibling elements in one direction.
+function walkSiblings(env, prop, test, until)
+{
+  test  = nodeTest(test, env);
+  until = (until === undefined) ? () => false : nodeTest(until, env);
+  return function(node, found)
+  {
+    let sib = node[prop];
+    while (sib && !until(sib))
+    {
+      if (test(sib))
+      {
+        found.add(sib);
+      }
+      sib = sib[prop];
+    }
+  }
+}
+
+// Get the dataset key for a name (e.g. `data-user-id` → `userId`).
+function dataKey(name)
+{
+  return name.replace(/^data-/, '').replace(/-([a-z])/g, 
+    (match, c) => c.toUpperCase());
+}
+
+// Convert a data attribute value into a typed value.
+function parseData(value)
+{
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null') return null;
+
+  if (NUMERIC.test(value) && String(Number(value)) === value)
+  { // Only if converting it back gives the same string.
+    return Number(value);
+  }
+
+  if (value.startsWith('{') || value.startsWith('['))
+  {
+    try
+    {
+      return JSON.parse(value);
+    }
+    catch (err)
+    { // Not valid JSON, leave it as a string.
+    }
+  }
+
+  return value;
+}
+
+// Are two data values the same?
+function sameData(a, b)
+{
+  return (Object.is(a, b) 
+    || (isObj(a) && isObj(b) && JSON.stringify(a) === JSON.stringify(b)));
+}
+
+// Get the typed value of a data attribute.
+function attrData(node, key, text)
+{
+  const written = ATTR_DATA.get(node)?.get(key);
+  return (written && written.text === text) ? written.value : parseData(text);
+}
+
+// Get a data value for a node; from the private data, or the attribute.
+function getData(node, key)
+{
+  const data = U.getSymbolMap(node, WRAPPER_DATA);
+  if (data.has(key)) return data.get(key);
+  const value = node.dataset?.[key];
+  return (value === undefined) ? undefined : attrData(node, key, value);
+}
+
+// Set a data value for a node; in the private data, or the attribute.
+function setData(node, key, value, toAttr)
+{
+  const data = U.getSymbolMap(node, WRAPPER_DATA);
+
+  if (toAttr && node.dataset)
+  { // The attribute will be used instead of the private data.
+    data.delete(key);
+    let written = ATTR_DATA.get(node);
+    written?.delete(key);
+
+    if (value === undefined)
+    {
+      delete node.dataset[key];
+    }
+    else if (isObj(value))
+    { // Objects and arrays are read back by parsing the JSON.
+      node.dataset[key] = JSON.stringify(value);
+    }
+    else
+    { // Remember the value, as converting the attribute may change its type.
+      const text = String(value);
+      node.dataset[key] = text;
+      if (!written)
+      {
+        written = new Map();
+        ATTR_DATA.set(node, written);
+      }
+      written.set(key, {text, value});
+    }
+  }
+  else if (value === undefined)
+  {
+    data.delete(key);
+  }
+  else
+  {
+    data.set(key, value);
+  }
+}
+
+// Sanitize an HTML string if the wrapper has a sanitize policy.
+function safeHTML(wrapper, html)
+{
+  const policy = wrapper.options.sanitize;
+  return sanitizer.isEnabled(policy)
+    ? sanitizer.sanitizeHTML(html, policy, wrapper.env.document)
+    : html;
+}
+
+// Serialize the children of a fragment (or shadow root) as HTML.
+function fragmentHTML(env, frag)
+{
+  const template = env.document.createElement('template');
+  for (const node of frag.childNodes)
+  { // Shadow roots can't be cloned, so copy the children instead.
+    template.content.append(node.cloneNode(true));
+  }
+  return template.innerHTML;
+}
+
+// Get the innerHTML of a node; fragments don't have one of their own.
+function innerHTML(wrapper, node)
+{
+  return (node instanceof wrapper.env.DocumentFragment)
+    ? fragmentHTML(wrapper.env, node)
+    : node.innerHTML;
+}
+
+// Get the outerHTML of a node; for fragments that's their children.
+function outerHTML(wrapper, node)
+{
+  return (node instanceof wrapper.env.DocumentFragment)
+    ? fragmentHTML(wrapper.env, node)
+    : node.outerHTML;
+}
+
+// Run an animate function on every wrapped element, resolving to the wrapper.
+// Other nodes (text, fragments, etc.) have no style, so they are skipped.
+function animateEach(wrapper, fn, ...args)
+{
+  const running = staticNodes(wrapper)
+    .filter(node => node instanceof wrapper.env.Element)
+    .map(node => fn(node, ...args));
+  return Promise.all(running).then(() => wrapper);
+}
+
+// Queue a measure or mutate task that is passed the wrapper.
+function schedule(wrapper, phase, fn)
+{
+  if (typeof fn !== F)
+  {
+    console.error({phase, fn, wrapper});
+    throw new TypeError("Task must be a function");
+  }
+
+  const scheduler = wrapper.options.scheduler 
+    ?? scheduling.getScheduler(wrapper.env);
+
+  return scheduler[phase](() => fn.call(wrapper, wrapper));
+}
+
+// Add HTML or text to a node; fragments use env.addToFragment().
+function addString(env, node, value, pos, type)
+{
+  if (node instanceof env.DocumentFragment)
+  {
+    E.addToFragment(env, node, value, pos, type);
+  }
+  else if (type === 'html')
+  {
+    addHTML(node, value, pos);
+  }
+  else
+  {
+    addText(node, value, pos);
+  }
+}
+
+// Get a function that returns the content to add to each wrapped node.
+function contentFactory(wrapper, content)
+{
+  const clone = wrapper.isCollection, env = wrapper.env;
+
+  if (content instanceof ElementsWrapper)
+  {
+    content = content.wraps;
+  }
+
+  if (typeof content === S && !VALID_TAG.test(content)
+    && U.guessHTML(content))
+  { // An HTML snippet.
+    content = safeHTML(wrapper, content);
+  }
+
+  if (!clone || typeof content === S)
+  { // No cloning required.
+    return () => content;
+  }
+  else if (content instanceof env.Element)
+  { // A single element to clone.
+    return () => content.cloneNode(true);
+  }
+  else if (E.isCollection(content, env))
+  { // A collection of elements to clone.
+    return () => Array.from(content, elem => elem.cloneNode(true));
+  }
+
+  console.error({content});
+  throw new TypeError("Invalid content");
+}
+
+// Get a function that returns a structure to wrap each wrapped node with.
+function structureFactory(wrapper, structure)
+{
+  if (structure instanceof ElementsWrapper)
+  {
+    structure = firstNode(structure);
+  }
+
+  if (typeof structure === S)
+  {
+    if (VALID_TAG.test(structure))
+    { // A simple element tag name.
+      return () => wrapper.env.document.createElement(structure);
+    }
+    else
+    { // An HTML snippet, parsed fresh for each node.
+      const parseOpts = Object.assign({}, wrapper.options.parse, 
+        {multiple: false});
+      const html = safeHTML(wrapper, structure);
+      return () => E.parseHTML(html, wrapper.env, parseOpts);
+    }
+  }
+  else if (structure instanceof wrapper.env.Element)
+  {
+    return wrapper.isCollection 
+      ? () => structure.cloneNode(true) 
+      : () => structure;
+  }
+
+  console.error({structure});
+  throw new TypeError("Invalid wrapping structure");
+}
+
+// Find the innermost first descendant of a wrapping structure.
+function innermost(elem)
+{
+  while (elem.firstElementChild)
+  {
+    elem = elem.firstElementChild;
+  }
+  return elem;
+}
+
+// Find the element to clone for each row of a list.
+function rowTemplate(wrapper, container, template)
+{
+  if (template instanceof ElementsWrapper)
+  {
+    template = firstNode(template);
+  }
+  else if (typeof template === S)
+  {
+    template = container.querySelector(template)
+      ?? wrapper.env.document.querySelector(template);
+  }
+  else if (template === undefined || template === null)
+  {
+    template = container.querySelector(':scope > template');
+  }
+
+  if (template instanceof wrapper.env.Element)
+  {
+    const source = (template.tagName === 'TEMPLATE')
+      ? template.content.firstElementChild
+      : template;
+    if (source) return source;
+  }
+
+  console.error({template, container, wrapper});
+  throw new TypeError("No valid list row template found");
+}
+
+// Get a function that returns the key for a list item.
+function rowKey(key)
+{
+  if (typeof key === F)
+  {
+    return key;
+  }
+  else if (typeof key === S || typeof key === N)
+  {
+    return (item) => item[key];
+  }
+  return (item, index) => index;
+}
+
+// Remember an event registration made through on().
+function saveEvent(reg)
+{
+  const events = U.getSymbolMap(reg.target, WRAPPER_EVENTS);
+  let regs = events.get(reg.event);
+  if (!regs)
+  {
+    regs = new Set();
+    events.set(reg.event, regs);
+  }
+  regs.add(reg);
+}
+
+// Parse an event specification string into a list of event names/namespaces.
+function parseEvents(spec)
+{
+  return splitNames(spec).map(function(item)
+  {
+    const [event, ...namespaces] = item.split('.');
+    return {event, namespaces: namespaces.filter(ns => ns !== '')};
+  });
+}
+
+// See if an event registration matches a parsed event specification.
+function matchEvent(reg, filter)
+{
+  if (filter.event !== '' && reg.event !== filter.event) return false;
+  const namespaces = reg.namespaces ?? [];
+  return filter.namespaces.every(ns => namespaces.includes(ns));
+}
+
+// Forget an event registration made through on().
+function forgetEvent(reg)
+{
+  const events = reg.target[WRAPPER_EVENTS];
+  if (events instanceof Map)
+  {
+    const regs = events.get(reg.event);
+    if (regs)
+    {
+      regs.delete(reg);
+    }
+  }
+}
+
+// Register event handlers for on() and once().
+function listen(wrapper, args, once)
+{
+  args = Array.from(args);
+
+  let spec = null;
+  for (let i=0; i < args.length; i++)
+  {
+    const arg = args[i];
+    if (typeof arg === S && spec === null)
+    { // The first string is the event specification.
+      spec = arg;
+      args.splice(i--, 1);
+    }
+    else if (isObj(arg) && !isListener(arg) 
+      && !(arg instanceof wrapper.env.Element))
+    { // Named options; look for the `event` and `once` options.
+      if (typeof arg.event === S || arg.once === true)
+      {
+        const opts = args[i] = Object.assign({}, arg);
+        if (typeof opts.event === S)
+        {
+          spec ??= opts.event;
+          delete opts.event;
+        }
+        if (opts.once === true)
+        { // We handle this ourselves.
+          once = true;
+          delete opts.once;
+        }
+      }
+    }
+  }
+
+  const events = parseEvents(spec ?? '');
+  if (events.length === 0 || events.some(item => item.event === ''))
+  {
+    console.error({spec, args});
+    throw new TypeError("No valid event name specified");
+  }
+
+  const hi = once ? args.findIndex(isListener) : -1;
+  if (once && hi === -1)
+  {
+    console.error({spec, args});
+    throw new TypeError("No event handler specified");
+  }
+
+  const regs = [];
+
+  for (const node of nodesOf(wrapper))
+  {
+    for (const {event, namespaces} of events)
+    {
+      let reg;
+      const nodeArgs = args.slice();
+
+      if (once)
+      { // Wrap the handler so it removes itself.
+        const handler = args[hi];
+        nodeArgs[hi] = function(ev, ...rest)
+        {
+          forgetEvent(reg);
+          reg.off();
+          return (typeof handler === F)
+            ? handler.call(this, ev, ...rest)
+            : handler.handleEvent(ev, ...rest);
+        }
+      }
+
+      reg = E.onEvent(wrapper.env, node, {off: true, event}, ...nodeArgs);
+      reg.namespaces = namespaces;
+      if (once)
+      { // Keep the original handler for off().
+        reg.original = args[hi];
+      }
+
+      saveEvent(reg);
+      regs.push(reg);
+    }
+  }
+
+  return regs;
+}
+
+// Remove event registrations and data from a node (and its descendants).
+function cleanNode(node, self=true, deep=true)
+{
+  const nodes = self ? [node] : [];
+  if (deep && typeof node.querySelectorAll === F)
+  {
+    nodes.push(...node.querySelectorAll('*'));
+  }
+
+  for (const item of nodes)
+  {
+    const events = item[WRAPPER_EVENTS];
+    if (events instanceof Map)
+    {
+      for (const regs of events.values())
+      {
+        for (const reg of regs)
+        {
+          reg.off();
+        }
+      }
+      events.clear();
+    }
+
+    forgetWatchers(item);
+
+    const data = item[WRAPPER_DATA];
+    if (data instanceof Map)
+    {
+      data.clear();
+    }
+  }
+}
+
+// Disconnect and forget observers added by watch().
+function forgetWatchers(node, test=() => true)
+{
+  const data = node[WRAPPER_DATA];
+  const watchers = (data instanceof Map) ? data.get(WRAPPER_WATCH) : null;
+  if (!watchers) return;
+
+  for (const watcher of Array.from(watchers))
+  {
+    if (test(watcher))
+    {
+      watcher.observer.disconnect();
+      watchers.delete(watcher);
+    }
+  }
+}
+
+// Get the MutationObserver options for watch().
+function mutationOpts(options)
+{
+  const opts = {};
+  for (const name of MUTATION_OPTS)
+  {
+    if (name in options) opts[name] = options[name];
+  }
+
+  if (!opts.childList && !opts.attributes && !opts.characterData)
+  { // Default to watching everything.
+    Object.assign(opts, 
+    {
+      childList: true, 
+      attributes: true, 
+      characterData: true, 
+      subtree: opts.subtree ?? true,
+    });
+  }
+
+  return opts;
+}
+
+// Set (or remove) a single attribute on a node.
+function setAttr(node, name, value)
+{
+  if (value === null || value === undefined || value === false)
+  { // Remove the attribute entirely.
+    node.removeAttribute(name);
+  }
+  else if (value === true)
+  { // A boolean attribute.
+    node.setAttribute(name, '');
+  }
+  else
+  {
+    node.setAttribute(name, String(value));
+  }
+}
+
+// Normalize an ARIA attribute name.
+function ariaName(name)
+{
+  return name.startsWith('aria-') ? name : 'aria-'+name;
+}
+
+// Convert a value into an ARIA attribute value.
+function ariaValue(value)
+{
+  if (typeof value === B)
+  { // ARIA states use 'true' and 'false' tokens.
+    return String(value);
+  }
+  else if (Array.isArray(value))
+  { // ID reference lists are space-separated.
+    return value.join(' ');
+  }
+  return value;
+}
+
+/**
+ * A wrapper around HTML Elements providing helper methods.
+ * 
+ * @exports module:@lumjs/web-core-extra/wrapper
+ */
+class ElementsWrapper
+{
+  /**
+   * Build a new wrapper instance.
+   * 
+   * @param {(string|object)} wraps The element(s) we are wrapping.
+   * 
+   * If this is a `string` then it must be either a valid tag name,
+   * or a snippet of HTML source.
+   * 
+   * If it is an `object`, it must be an `Element`, `NodeList`, 
+   * `HTMLCollection`, or `Array` of `Element` objects.
+   * 
+   * A `DocumentFragment` or `ShadowRoot` (such as the `content` of a
+   * `<template>`, or the result of `shadow()`) may also be wrapped,
+   * on its own or in an `Array`. The query methods and methods that add
+   * content work with them, but methods for things fragments don't have
+   * (like attributes or classes) won't.
+   * 
+   * @param {object} [options] Options that change the behaviours.
+   * 
+   * Will be assigned to the `options` instance property.
+   * 
+   * @param {object} [options.parse] Options for `parseHTML` function.
+   * 
+   * @param {Document} [options.document] The document to use.
+   * 
+   * Used to create elements, parse HTML, and detect valid nodes; the
+   * DOM classes (`Element`, `Node`, `NodeList`, etc.) are found using
+   * its `defaultView` (or the prototypes of its nodes if it doesn't have
+   * one), so DOM implementations like `jsdom`, `linkedom`, or `happy-dom`
+   * can be used without assigning any globals.
+   * 
+   * If not specified, the `ownerDocument` of the wrapped node (or of the
+   * first node in a collection) will be used; and failing that, the
+   * global `document` will be used.
+   * See {@link module:@lumjs/web-core-extra/env.getEnv} for details.
+   * 
+   * @param {Window} [options.window] The window to use.
+   * 
+   * If `options.document` is not specified, `options.window.document`
+   * will be used as the document.
+   * 
+   * @param {(boolean|object|function)} [options.sanitize] HTML policy.
+   * 
+   * If set, any HTML strings passed to the constructor, `add()`,
+   * `addHTML()`, `replaceWith()`, `wrapWith()`, `wrapInner()`, or
+   * `morph()` will be sanitized first. As `_make()` passes the options
+   * along, wrappers it creates will use the same policy.
+   * 
+   * Use `true` for the default policy, an `object` to customize it, or
+   * a `function` for a custom sanitizer. See
+   * {@link module:@lumjs/web-core-extra/sanitize.sanitizeHTML} for details.
+   * 
+   * @param {object} [options.scheduler] Scheduler for `measure()`,
+   * `mutate()`, and `batch()`.
+   * 
+   * If not specified, the default scheduler for the window is used.
+   * Tests may pass a scheduler with a custom `raf` function here.
+   * See {@link module:@lumjs/web-core-extra/scheduler.Scheduler}.
+   * 
+   * @param {function} [options.nodeClass] Class for valid nodes.
+   * Defaults to the `Element` class from the document.
+   * 
+   * @param {boolean} [options.separateSingle=true] 
+   * If `true` and the `wraps` is a collection with only 1 element,
+   * it is treated the same as if the element had been passed directly.
+   * 
+   * @param {boolean} [options.expandChildren=false]
+   * See `children`, `firstChild`, and `lastChild` for a description of
+   * what this option does.
+   * 
+   * @param {boolean} [options.wrapQueries=true]
+   * Default value for the option of the same name in the
+   * `get()`, `find()`, and `query()` methods.
+   * 
+   * @param {boolean} [options.queryDetails=false] 
+   * Determines if the `query()` method gets advanced details
+   * from the `@lumjs/web-core/query.find()` method or not.
+   * 
+   * @param {boolean} [options.deep=false]
+   * Default value for the option of the same name in the
+   * `get()`, `find()`, and `query()` methods.
+   * 
+   * @param {boolean} [options.recompileOptions=false]
+   * The default value for the `recompile` argument of `getOptions()`.
+   * 
+   * @param {boolean} [options.cache=false] Use the identity cache?
+   * 
+   * If `true`, then `_make()` (and so every method that returns wrappers
+   * for single elements, like `get()`, `first`, `last`, `eq()`, and
+   * `wrappedChildren`) will return the same wrapper instance every time
+   * for the same element. To make that work, wrappers made by `_make()`
+   * without any local options share this `options` object as is, and
+   * `getOptions()` will only compile the options once.
+   * 
+   * Wrappers are cached by element, options object, and class; and are
+   * only held as long as the element itself is. The `make` hooks from
+   * plugins are only called when a new wrapper is created.
+   * 
+   */
+  constructor(wraps, options={})
+  {
+    const parentEnv = makingEnv;
+    makingEnv = null;
+
+    const env = E.getEnv(envOptions(wraps, options, parentEnv));
+    const ct  = options.nodeClass      ?? env.Element;
+    const ss  = options.separateSingle ?? true;
+
+    // this._wrapped is the original wraps arg before processing.
+    def(this, '_wrapped', {value: wraps});
+
+    if (typeof wraps === S)
+    {
+      if (VALID_TAG.test(wraps))
+      { // A simple element tag name.
+        wraps = env.document.createElement(wraps);
+      }
+      else
+      { // Assume an HTML snippet.
+        const policy = options.sanitize;
+        if (sanitizer.isEnabled(policy))
+        {
+          wraps = sanitizer.sanitizeHTML(wraps, policy, env.document);
+        }
+        const parseOpts = options.parse ?? options;
+        wraps = E.parseHTML(wraps, env, parseOpts);
+      }
+    }
+
+    // Are we wrapping a collection?
+    const wrappable = node => isWrappable(node, env, ct);
+    let isCollection = (E.isCollection(wraps, env, ct)
+      || (Array.isArray(wraps) && wraps.every(wrappable)));
+
+    if (ss && isCollection && wraps.length === 1)
+    { // Separate the single element.
+      wraps = wraps[0];
+      isCollection = false;
+    }
+
+    const isValid = 
+    (
+      (isCollection && wraps.length > 0) // A non-empty collection.
+      || wrappable(wraps)                // A single node (or fragment).
+    );
+
+    def(this, 'options',      {value: options});
+    def(this, 'env',          {value: env});
+    def(this, 'wraps',        {value: wraps});
+    def(this, 'isCollection', isCollection);
+    def(this, 'isValid',      isValid);
+
+    for (const plugin of pluginsOf(this.constructor))
+    {
+      if (typeof plugin.init === F)
+      {
+        plugin.init.call(this, options);
+      }
+    }
+
+  } // constructor()
+
+  /**
+   * A plugin definition for `extend()`.
+   * 
+   * @typedef {object} module:@lumjs/web-core-extra/wrapper~Plugin
+   * 
+   * @prop {string} [name] A name for the plugin (used in error messages).
+   * 
+   * @prop {object} [methods] Methods to add; keys are the method names,
+   * and values are the `function` implementations.
+   * 
+   * @prop {object} [getters] Accessor properties to add; keys are the
+   * property names, and values are either a getter `function`, or an
+   * `object` with `get` and/or `set` functions.
+   * 
+   * @prop {object} [options] Default values for instance options.
+   * These are used by `getOptions()` for any options not set on the
+   * instance itself.
+   * 
+   * @prop {function} [init] Called at the end of the constructor;
+   * passed the `options`, with `this` being the new wrapper instance.
+   * 
+   * @prop {function} [make] Called by `_make()` after it creates a new 
+   * instance; passed the new instance, with `this` being the wrapper
+   * that `_make()` was called on.
+   * 
+   * @prop {boolean} [override=false] Allow replacing existing methods,
+   * properties, or default options?
+   * 
+   * If `false`, trying to add any name that already exists (either in 
+   * the class, or added by another plugin) throws a `TypeError`.
+   */
+
+  /**
+   * Extend the wrapper class with a plugin definition.
+   * 
+   * The methods and getters are added to the prototype of the class this
+   * is called on; so calling it on a sub-class only affects that sub-class
+   * (and its own sub-classes), while calling it on `ElementsWrapper`
+   * affects every wrapper class.
+   * 
+   * @param {module:@lumjs/web-core-extra/wrapper~Plugin} plugin 
+   * @returns {function} The class this was called on.
+   * @throws {TypeError} If the plugin is invalid, or has any conflicts.
+   */
+  static extend(plugin)
+  {
+    if (!isObj(plugin))
+    {
+      console.error({plugin, wrapperClass: this});
+      throw new TypeError("Invalid plugin definition");
+    }
+
+    const name = plugin.name ?? 'plugin';
+    const override = plugin.override ?? false;
+    const methods = plugin.methods ?? {};
+    const getters = plugin.getters ?? {};
+    const options = plugin.options ?? {};
+    const proto = this.prototype;
+
+    const conflict = function(what, key)
+    {
+      console.error({plugin, [what]: key});
+      throw new TypeError(`${name}: ${what} "${key}" already exists`);
+    }
+
+    // Check everything before changing anything.
+    for (const key in methods)
+    {
+      if (typeof methods[key] !== F)
+      {
+        console.error({plugin, method: key});
+        throw new TypeError(`${name}: method "${key}" must be a function`);
+      }
+      if (!override && key in proto) conflict('property', key);
+    }
+
+    for (const key in getters)
+    {
+      if (!override && (key in proto || key in methods)) 
+      {
+        conflict('property', key);
+      }
+    }
+
+    const defaults = pluginOptions(this);
+    for (const key in options)
+    {
+      if (!override && key in defaults) conflict('option', key);
+    }
+
+    for (const key in methods)
+    {
+      def(proto, key, 
+      {
+        value: methods[key], 
+        writable: true, 
+        configurable: true,
+      });
+    }
+
+    for (const key in getters)
+    {
+      const getter = getters[key];
+      const desc = (typeof getter === F) 
+        ? {get: getter} 
+        : {get: getter.get, set: getter.set};
+      desc.configurable = true;
+      def(proto, key, desc);
+    }
+
+    registryOf(this).extensions.push(
+    {
+      name, 
+      options, 
+      init: plugin.init, 
+      make: plugin.make,
+    });
+
+    return this;
+  }
+
+  /**
+   * Use a plugin.
+   * 
+   * Using the same plugin more than once on the same class does nothing,
+   * nor does using a plugin that a parent class already uses (as the
+   * sub-class already has everything the plugin added.)
+   * 
+   * @param {(function|object)} plugin - The plugin to use.
+   * 
+   * - A `function` will be called with the class as the first argument,
+   *   followed by any extra `args`. It may call `extend()` as many times
+   *   as it needs to, or do anything else it wants with the class.
+   * - An `object` will be passed to `extend()`.
+   * 
+   * @param {...any} [args] Extra arguments for a plugin `function`.
+   * @returns {function} The class this was called on.
+   */
+  static use(plugin, ...args)
+  {
+    if (usesPlugin(this, plugin))
+    { // Already using this one.
+      return this;
+    }
+
+    if (typeof plugin === F)
+    {
+      plugin(this, ...args);
+    }
+    else
+    {
+      this.extend(plugin);
+    }
+
+    registryOf(this).used.add(plugin);
+
+    return this;
+  }
+
+  get id() 
+  { 
+    if (!this.isCollection)
+    {
+      return this.wraps.id;
+    }
+  }
+
+  set id(id)
+  {
+    if (this.isCollection)
+    {
+      throw new TypeError("Cannot set 'id' on a collection!");
+    }
+    this.wraps.id = id;
+  }
+
+  get class()
+  {
+    if (!this.isValid) return null;
+
+    if (this.isCollection)
+    { 
+      const lists = [];
+      for (const node of this.wraps)
+      {
+        if (node.classList)
+        {
+          lists.push(node.classList);
+        }
+      }
+      return lists;
+    }
+    else
+    { 
+      return this.wraps.classList;
+    }
+  }
+
+  set class(className)
+  {
+    if (typeof className !== S)
+    {
+      throw new TypeError("Cannot set non-string class name");
+    }
+
+    if (!this.isValid) return null;
+
+    if (this.isCollection)
+    {
+      for (const node of this.wraps)
+      {
+        node.className = className;
+      }
+    }
+    else
+    {
+      this.wraps.className = className;
+    }
+  }
+
+  /**
+   * A callback function used to generate a value for each wrapped element.
+   * 
+   * Used by `attr()`, `prop()`, `aria()`, `addClass()` and other methods
+   * that can set a value on every wrapped element.
+   * 
+   * @callback ValueCallback
+   * @param {number} index - 0-based index of which wrapped element.
+   * @param {*} current - The current value for the element.
+   * @param {Element} node - An individual wrapped element (not collection).
+   * @param {ElementsWrapper} wrapper - This wrapper instance.
+   * @this {Element} Same element as `node` argument.
+   * @returns {*} The new value to assign to the element.
+   */
+
+  /**
+   * Add classes to every wrapped element.
+   * 
+   * @param {(string|string[]|ValueCallback)} names - Class name(s) to add.
+   * 
+   * A `string` may contain multiple space-separated names.
+   * 
+   * A `function` will be called for each wrapped element, with the
+   * `current` value being the existing `class` attribute; it must
+   * return a `string` or `Array` of class names.
+   * 
+   * @returns {object} `this`
+   */
+  addClass(names)
+  {
+    return eachClassList(this, names, (list, names) => list.add(...names));
+  }
+
+  /**
+   * Remove classes from every wrapped element.
+   * 
+   * @param {(string|string[]|ValueCallback)} [names] Class name(s) to remove.
+   * 
+   * Same format as `addClass()`. If this is omitted entirely,
+   * ALL classes will be removed from every wrapped element.
+   * 
+   * @returns {object} `this`
+   */
+  removeClass(names)
+  {
+    if (arguments.length === 0)
+    { // Remove all classes.
+      return this.removeAttr('class');
+    }
+
+    return eachClassList(this, names, (list, names) => list.remove(...names));
+  }
+
+  /**
+   * Toggle classes on every wrapped element.
+   * 
+   * @param {(string|string[]|ValueCallback)} names - Class name(s) to toggle.
+   * 
+   * Same format as `addClass()`.
+   * 
+   * @param {boolean} [force] Force a specific state.
+   * 
+   * If `true` the classes will be added, if `false` they will be removed.
+   * If not specified, each class is toggled individually.
+   * 
+   * @returns {object} `this`
+   */
+  toggleClass(names, force)
+  {
+    const forced = (typeof force === B);
+    return eachClassList(this, names, function(list, names)
+    {
+      for (const name of names)
+      {
+        if (forced)
+        {
+          list.toggle(name, force);
+        }
+        else
+        {
+          list.toggle(name);
+        }
+      }
+    });
+  }
+
+  /**
+   * See if wrapped elements have classes.
+   * 
+   * @param {(string|string[])} names - Class name(s) to look for.
+   * 
+   * A `string` may contain multiple space-separated names.
+   * An element must have _every_ one of the names to pass the test.
+   * 
+   * @param {string} [mode="any"] Which elements must pass the test?
+   * 
+   * - `"any"` → at least one of the wrapped elements must pass.
+   * - `"all"` → every one of the wrapped elements must pass.
+   * 
+   * @returns {boolean} Will always be `false` if there are no
+   * valid wrapped elements, or no class names were specified.
+   */
+  hasClass(names, mode='any')
+  {
+    names = splitNames(names);
+    const nodes = nodesOf(this);
+
+    if (names.length === 0 || nodes.length === 0) return false;
+
+    const test = node => (node.classList 
+      && names.every(name => node.classList.contains(name)));
+
+    if (mode === 'all')
+    {
+      return AP.every.call(nodes, test);
+    }
+    else if (mode === 'any')
+    {
+      return AP.some.call(nodes, test);
+    }
+    else
+    {
+      throw new TypeError("Invalid hasClass() mode");
+    }
+  }
+
+  /**
+   * Replace a class with another on every wrapped element.
+   * 
+   * Elements that do not have the `oldName` class are left alone.
+   * 
+   * @param {(string|object)} oldName - Class name to be replaced.
+   * 
+   * If this is an `object`, it is a map of old names to new names,
+   * and the `newName` argument is not used.
+   * 
+   * @param {(string|ValueCallback)} [newName] Class name to use instead.
+   * 
+   * If this is a `function` it will be called for each wrapped element,
+   * with the `current` value being the existing `class` attribute.
+   * 
+   * @returns {object} `this`
+   */
+  replaceClass(oldName, newName)
+  {
+    if (isObj(oldName))
+    { // A map of class names to replace.
+      for (const key in oldName)
+      {
+        this.replaceClass(key, oldName[key]);
+      }
+      return this;
+    }
+
+    if (typeof oldName !== S)
+    {
+      throw new TypeError("Invalid class name");
+    }
+
+    return setEach(this, newName,
+      node => node.getAttribute('class') ?? '',
+      function(node, val)
+      {
+        if (node.classList && typeof val === S && val !== '')
+        {
+          node.classList.replace(oldName, val);
+        }
+      });
+  }
+
+  /**
+   * Get or set attributes.
+   * 
+   * Reading always uses the first wrapped element;
+   * writing always applies to every wrapped element.
+   * 
+   * @param {(string|object)} [name] The attribute name.
+   * 
+   * If this is an `object`, it is a map of attribute names to values,
+   * each of which will be set on every wrapped element.
+   * 
+   * If this is omitted entirely, returns a plain object with all of
+   * the attributes from the first wrapped element.
+   * 
+   * @param {(string|number|boolean|null|ValueCallback)} [value] Value to set.
+   * 
+   * If this is omitted, returns the attribute value.
+   * 
+   * - `null`, `undefined`, or `false` will remove the attribute.
+   * - `true` will set the attribute to an empty string (boolean attribute).
+   * - A `function` will be called for each wrapped element;
+   *   the `current` value will be the existing attribute value.
+   * - Anything else will be converted to a `string`.
+   * 
+   * @returns {(object|string|null)} 
+   * 
+   * - When setting values, this will be `this`.
+   * - When getting a single value, this will be the attribute value,
+   *   or `null` if the attribute (or a valid element) was not found.
+   * - When getting all attributes, this will be a plain object,
+   *   or `null` if there is no valid element.
+   */
+  attr(name, value)
+  {
+    if (arguments.length === 0)
+    { // Get all attributes.
+      const node = firstNode(this);
+      if (!node) return null;
+      const attrs = {};
+      for (const attr of node.attributes)
+      {
+        attrs[attr.name] = attr.value;
+      }
+      return attrs;
+    }
+
+    if (isObj(name))
+    { // A map of attributes to set.
+      for (const key in name)
+      {
+        this.attr(key, name[key]);
+      }
+      return this;
+    }
+
+    if (typeof name !== S)
+    {
+      throw new TypeError("Invalid attribute name");
+    }
+
+    if (arguments.length === 1)
+    { // Get the attribute value.
+      const node = firstNode(this);
+      return node ? node.getAttribute(name) : null;
+    }
+
+    return setEach(this, value, 
+      node => node.getAttribute(name), 
+      (node, val) => setAttr(node, name, val));
+  }
+
+  /**
+   * Remove attributes from every wrapped element.
+   * 
+   * @param {(string|string[])} names - Attribute name(s) to remove.
+   * 
+   * A `string` may contain multiple space-separated names.
+   * 
+   * @returns {object} `this`
+   */
+  removeAttr(names)
+  {
+    names = splitNames(names);
+
+    for (const node of staticNodes(this))
+    {
+      for (const name of names)
+      {
+        node.removeAttribute(name);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Get or set DOM properties.
+   * 
+   * Reading always uses the first wrapped element;
+   * writing always applies to every wrapped element.
+   * 
+   * @param {(string|object)} name - The property name.
+   * 
+   * If this is an `object`, it is a map of property names to values,
+   * each of which will be set on every wrapped element.
+   * 
+   * @param {(*|ValueCallback)} [value] Value to set.
+   * 
+   * If this is omitted, returns the property value.
+   * 
+   * If this is a `function` it will be called for each wrapped element;
+   * the `current` value will be the existing property value.
+   * 
+   * @returns {*} Will be `this` when setting values.
+   * 
+   * When getting a value, it will be the property value of the first
+   * wrapped element, or `undefined` if there is no valid element.
+   */
+  prop(name, value)
+  {
+    if (isObj(name))
+    { // A map of properties to set.
+      for (const key in name)
+      {
+        this.prop(key, name[key]);
+      }
+      return this;
+    }
+
+    if (typeof name !== S)
+    {
+      throw new TypeError("Invalid property name");
+    }
+
+    if (arguments.length === 1)
+    { // Get the property value.
+      const node = firstNode(this);
+      return node ? node[name] : undefined;
+    }
+
+    return setEach(this, value, 
+      node => node[name], 
+      (node, val) => { node[name] = val; });
+  }
+
+  /**
+   * Get or set ARIA attributes.
+   * 
+   * A thin layer over `attr()` that adds the `aria-` prefix to names
+   * (if they don't already have it), and converts values to the string
+   * tokens used by ARIA.
+   * 
+   * @param {(string|object)} [name] The ARIA attribute name.
+   * 
+   * May be specified with or without the `aria-` prefix,
+   * e.g. `"expanded"` and `"aria-expanded"` are the same.
+   * 
+   * If this is an `object`, it is a map of names to values,
+   * each of which will be set on every wrapped element.
+   * 
+   * If this is omitted entirely, returns a plain object with all of
+   * the `aria-*` attributes from the first wrapped element
+   * (the keys will NOT have the `aria-` prefix.)
+   * 
+   * @param {(string|number|boolean|Array|null|ValueCallback)} [value]
+   * 
+   * If this is omitted, returns the attribute value.
+   * 
+   * - `null` or `undefined` will remove the attribute.
+   * - A `boolean` will become `"true"` or `"false"` (NOT removed).
+   * - An `Array` (such as a list of ids) will be joined with spaces.
+   * - A `function` will be called for each wrapped element, and its
+   *   return value will be converted using the above rules.
+   * 
+   * @returns {(object|string|null)} See `attr()` for details.
+   */
+  aria(name, value)
+  {
+    if (arguments.length === 0)
+    { // Get all ARIA attributes.
+      const attrs = this.attr();
+      if (!attrs) return attrs;
+      const aria = {};
+      for (const key in attrs)
+      {
+        if (key.startsWith('aria-'))
+        {
+          aria[key.substring(5)] = attrs[key];
+        }
+      }
+      return aria;
+    }
+
+    if (isObj(name))
+    { // A map of ARIA attributes to set.
+      for (const key in name)
+      {
+        this.aria(key, name[key]);
+      }
+      return this;
+    }
+
+    if (typeof name !== S)
+    {
+      throw new TypeError("Invalid ARIA attribute name");
+    }
+
+    name = ariaName(name);
+
+    if (arguments.length === 1)
+    {
+      return this.attr(name);
+    }
+
+    return setEach(this, value,
+      node => node.getAttribute(name),
+      (node, val) => setAttr(node, name, ariaValue(val)));
+  }
+
+  /**
+   * The first child `Element` of our wrapped element(s).
+   * 
+   * In the case where this instance has multiple wrapped elements,
+   * what is returned depends on the `expandChildren` constructor option:
+   * 
+   * If `true` returns the first child element of the first wrapped element.
+   * If `false` (default) returns the first wrapped element itself.
+   * 
+   * @returns {?Element}
+   */
+  get firstElement()
+  {
+    if (!this.isValid) return null;
+
+    if (this.isCollection)
+    {
+      const child = this.wraps[0];
+      return this.options.expandChildren ? child.firstElementChild : child;
+    }
+    else
+    {
+      return this.wraps.firstElementChild;
+    }
+  }
+
+  /**
+   * The last child `Element` of our wrapped element(s).
+   * 
+   * In the case where this instance has multiple wrapped elements,
+   * what is returned depends on the `expandChildren` constructor option:
+   * 
+   * If `true` returns the last child element of the last wrapped element.
+   * If `false` (default) returns the last wrapped element itself.
+   * 
+   * @returns {?Element}
+   */
+  get lastElement()
+  {
+    if (!this.isValid) return null;
+
+    if (this.isCollection)
+    {
+      const child = this.wraps[this.wraps.length - 1];
+      return this.options.expandChildren ? child.lastElementChild : child;
+    }
+    else
+    {
+      return this.wraps.lastElementChild
+    }
+  }
+
+  /**
+   * A wrapper of the first child element.
+   * 
+   * See `firstElement` for more details.
+   * 
+   * @returns {ElementsWrapper}
+   */
+  get first() { return this._make(this.firstElement); }
+
+  /**
+   * A wrapper of the last child element.
+   * 
+   * See `lastElement` for more details.
+   * 
+   * @returns {ElementsWrapper}
+   */
+  get last()  { return this._make(this.lastElement);  }
+
+  /**
+   * Get the children of the wrapped elements.
+   * 
+   * In the case where this instance has multiple wrapped elements,
+   * what is returned depends on the `expandChildren` constructor option:
+   * 
+   * If `false` (default) returns this instance itself.
+   * 
+   * If `true`, then builds a new wrapper instance with a flat array
+   * of the children from every wrapped element.
+   * 
+   * In the case of a single wrapped element, we simply return a
+   * new wrapper instance using its children.
+   * 
+   * The new wrapper returned by this will have the same `expandChildren`
+   * option as this instance, but `separateSingle` set to `false`.
+   * 
+   * @returns {ElementsWrapper}
+   */
+  get children()
+  {
+    if (!this.isValid) return this; // Not valid, returning ourself.
+
+    let children;
+
+    if (this.isCollection)
+    {
+      if (this.options.expandChildren)
+      { // Expanded list of the children of our wrapped elements.
+        children = [];
+        for (const node of this.wraps)
+        {
+          for (const child of node.children)
+          {
+            children.push(child);
+          }
+        }
+      }
+      else
+      { // Returns this wrapper as is.
+        return this;
+      }
+    }
+    else
+    { 
+      children = this.wraps.children;
+    }
+
+    const makeOpts =
+    {
+      expandChildren: this.options.expandChildren,
+      separateSingle: false, // Force off.
+    }
+
+    return this._make(children, makeOpts);
+  }
+
+  /**
+   * Get an array of wrapper instances for each child.
+   * 
+   * Uses the `children` getter property to generate the
+   * list so all the notes about how `expandChildren` works
+   * applies here as well.
+   * 
+   * @returns {ElementsWrapper[]}
+   * 
+   * May be an empty array if there were no valid children.
+   * 
+   */
+  get wrappedChildren()
+  {
+    const wrapped = [];
+    if (!this.isValid) return wrapped;
+
+    // We make use of the `children` getter.
+    const children = this.children;
+
+    if (!children.isValid) return wrapped;
+    if (!children.isCollection)
+    {
+      throw new Error(".children returned non-collection‽");
+    }
+
+    for (const node of children.wraps)
+    {
+      const wrappedNode = this._make(node);
+      wrapped.push(wrappedNode);
+    }
+
+   
+    return wrapped;
+  }
+
+  /**
+   * A test used to filter elements in the traversal methods.
+   * 
+   * May be any of the following:
+   * 
+   * - A `string` CSS selector that elements must match.
+   * - A `function` that will be passed each element (which will also
+   *   be used as `this`), and must return a `boolean`.
+   * - An `Element`, collection of elements, or `ElementsWrapper` instance;
+   *   elements must be one of the specified elements.
+   * 
+   * @typedef {(string|function|Element|Array|ElementsWrapper)} NodeTest
+   */
+
+  /**
+   * Get the parents of the wrapped elements.
+   * 
+   * @param {NodeTest} [test] Only include parents that pass this test.
+   * @returns {ElementsWrapper} A new wrapper with the parent elements;
+   * each parent will only be included once.
+   */
+  parent(test)
+  {
+    test = nodeTest(test, this.env);
+    return collect(this, function(node, found)
+    {
+      const parent = node.parentElement;
+      if (parent && test(parent))
+      {
+        found.add(parent);
+      }
+    });
+  }
+
+  /**
+   * Get all the ancestors of the wrapped elements.
+   * 
+   * @param {NodeTest} [test] Only include ancestors that pass this test.
+   * @returns {ElementsWrapper} A new wrapper with the ancestor elements;
+   * for each wrapped element they are added from the nearest ancestor
+   * outwards, and each ancestor will only be included once.
+   */
+  parents(test)
+  {
+    test = nodeTest(test, this.env);
+    return collect(this, function(node, found)
+    {
+      let parent = node.parentElement;
+      while (parent)
+      {
+        if (test(parent))
+        {
+          found.add(parent);
+        }
+        parent = parent.parentElement;
+      }
+    });
+  }
+
+  /**
+   * Get the closest element (starting with the wrapped element itself,
+   * then moving up through its ancestors) that passes a test.
+   * 
+   * @param {NodeTest} test - The test elements must pass.
+   * @returns {ElementsWrapper} A new wrapper with the matching elements;
+   * each will only be included once.
+   */
+  closest(test)
+  {
+    if (typeof test === S)
+    { // Use the native method.
+      return collect(this, function(node, found)
+      {
+        const match = node.closest(test);
+        if (match)
+        {
+          found.add(match);
+        }
+      });
+    }
+
+    test = nodeTest(test, this.env);
+    return collect(this, function(node, found)
+    {
+      let current = node;
+      while (current)
+      {
+        if (test(current))
+        {
+          found.add(current);
+          return;
+        }
+        current = current.parentElement;
+      }
+    });
+  }
+
+  /**
+   * Get the sibling elements of the wrapped elements.
+   * 
+   * @param {NodeTest} [test] Only include siblings that pass this test.
+   * @returns {ElementsWrapper} A new wrapper with the sibling elements;
+   * each will only be included once.
+   */
+  siblings(test)
+  {
+    test = nodeTest(test, this.env);
+    return collect(this, function(node, found)
+    {
+      const parent = node.parentElement;
+      if (!parent) return;
+      for (const sib of parent.children)
+      {
+        if (sib !== node && test(sib))
+        {
+          found.add(sib);
+        }
+      }
+    });
+  }
+
+  /**
+   * Get the next sibling element of each wrapped element.
+   * 
+   * @param {NodeTest} [test] Only include siblings that pass this test.
+   * @returns {ElementsWrapper}
+   */
+  next(test)
+  {
+    test = nodeTest(test, this.env);
+    return collect(this, function(node, found)
+    {
+      const sib = node.nextElementSibling;
+      if (sib && test(sib))
+      {
+        found.add(sib);
+      }
+    });
+  }
+
+  /**
+   * Get the previous sibling element of each wrapped element.
+   * 
+   * @param {NodeTest} [test] Only include siblings that pass this test.
+   * @returns {ElementsWrapper}
+   */
+  prev(test)
+  {
+    test = nodeTest(test, this.env);
+    return collect(this, function(node, found)
+    {
+      const sib = node.previousElementSibling;
+      if (sib && test(sib))
+      {
+        found.add(sib);
+      }
+    });
+  }
+
+  /**
+   * Get all of the following sibling elements of each wrapped element.
+   * 
+   * @param {NodeTest} [test] Only include siblings that pass this test.
+   * @returns {ElementsWrapper}
+   */
+  nextAll(test)
+  {
+    return collect(this, walkSiblings(this.env, 'nextElementSibling', test));
+  }
+
+  /**
+   * Get all of the preceding sibling elements of each wrapped element.
+   * 
+   * @param {NodeTest} [test] Only include siblings that pass this test.
+   * @returns {ElementsWrapper} Siblings are added from the nearest outwards.
+   */
+  prevAll(test)
+  {
+    return collect(this, walkSiblings(this.env, 'previousElementSibling', test));
+  }
+
+  /**
+   * Get the following sibling elements of each wrapped element,
+   * up to (but not including) the first one that passes a test.
+   * 
+   * @param {NodeTest} until - Stop when a sibling passes this test.
+   * @param {NodeTest} [test] Only include siblings that pass this test.
+   * @returns {ElementsWrapper}
+   */
+  nextUntil(until, test)
+  {
+    return collect(this, walkSiblings(this.env, 'nextElementSibling', test, until));
+  }
+
+  /**
+   * Get the preceding sibling elements of each wrapped element,
+   * up to (but not including) the first one that passes a test.
+   * 
+   * @param {NodeTest} until - Stop when a sibling passes this test.
+   * @param {NodeTest} [test] Only include siblings that pass this test.
+   * @returns {ElementsWrapper}
+   */
+  prevUntil(until, test)
+  {
+    return collect(this, walkSiblings(this.env, 'previousElementSibling', test, until));
+  }
+
+  /**
+   * Get a set of options.
+   * 
+   * Compiles a **new** options object composing the instance defaults
+   * and any locally defined options.
+   * 
+   * This is used by `get()`, `find()`, and `query()`.
+   * 
+   * @param {object} [localOpts] Options to override instance defaults.
+   * @param {boolean} [recompile] Force re-compilation?
+   * 
+   * This only has any effect if the `options` passed was returned
+   * by the `getOptions()` method already.
+   * 
+   * - If `true`, it forces a new set of options to be compiled and returned.
+   * - If `false`, it will return the `options` if they are already compiled.
+   * 
+   * If not specified, it uses `this.options.recompileOptions` as default.
+   * 
+   * @param {boolean} [mark=true] Add a `Symbol` to compiled options?
+   * 
+   * The `Symbol` property will be used to determine if an `object` is
+   * already a compiled set of options generateds by this method.
+   * 
+   * This argument is meant for internal use only. Unless you know what you
+   * are doing, leave it alone.
+   * 
+   * @returns {object} Compiled options.
+   * 
+   */
+  getOptions(localOpts, recompile=this.options.recompileOptions, mark=true)
+  {
+    if (isObj(localOpts) && localOpts[WRAPPER_OPTS] && !recompile)
+    { // Options already composed.
+      return localOpts;
+    }
+
+    const memo = (this.options.cache && mark && !recompile
+      && (localOpts === undefined || localOpts === null));
+
+    if (memo && this[WRAPPER_COMPILED])
+    { // Compiled once already.
+      return this[WRAPPER_COMPILED];
+    }
+
+    const compiledOpts = Object.assign({}, 
+      pluginOptions(this.constructor), this.options, localOpts);
+    if (mark) compiledOpts[WRAPPER_OPTS] = true;
+    if (memo) def(this, WRAPPER_COMPILED, {value: compiledOpts});
+
+    return compiledOpts;
+  }
+
+  /**
+   * A query object for `get()` and `find()`.
+   * 
+   * If it has an `xpath` property, it's an XPath query; otherwise
+   * it's a set of criteria that elements must match (all of them).
+   * 
+   * It must be a plain object; any other kind of object (such as a node,
+   * an `Array`, or a wrapper) is not a valid query.
+   * 
+   * @typedef {object} QueryObject
+   * 
+   * @prop {string} [xpath] An XPath expression.
+   * 
+   * It is evaluated with each wrapped element as the context node,
+   * so use a relative path (e.g. `.//button`) to only find descendants.
+   * Any nodes found that aren't elements are ignored.
+   * 
+   * @prop {(function|object)} [resolver] A namespace resolver for `xpath`.
+   * 
+   * @prop {string} [tag] The tag name (case-insensitive).
+   * 
+   * @prop {(string|string[])} [class] Class names the element must have.
+   * 
+   * @prop {object} [attrs] Attributes; the keys are attribute names.
+   * 
+   * If the value is `true` the attribute must exist, if it is `false`
+   * it must not exist. A `RegExp` must match the attribute value,
+   * and anything else must be equal to it (as a string).
+   * 
+   * @prop {(string|RegExp)} [text] The `textContent` of the element
+   * must match this `RegExp`, or include this `string`.
+   */
+
+  /**
+   * Get a single element.
+   * 
+   * @param {(string|number|function|RegExp|QueryObject)} query 
+   * What we are looking for.
+   * 
+   * - If this is a `string` we use `node.querySelector()` directly.
+   * - If this is a `number` we return the child element with that offset.
+   * - If this is a `function` we return `this.query(options, false, query)`.
+   * - If this is a `RegExp`, we look for the innermost element with
+   *   `textContent` that matches (i.e. not its ancestors).
+   * - If this is a `QueryObject`, we look for the first element that
+   *   matches its criteria, or its XPath expression.
+   * 
+   * @param {object} [options] Options
+   * @param {boolean} [options.queryDetails] Add details to the result?
+   * 
+   * Only used by `function`, `RegExp`, and `QueryObject` queries.
+   * For a `function` see `query()`; for the others the `$findWith`
+   * property will be an `Array` of `{node, query, found}` objects.
+   * 
+   * @param {boolean} [options.wrapQueries] Should results be wrapped?
+   * 
+   * - If `true` the result will be wrapped in a new Wrapper instance.
+   * - If `false` the result will be the first matching `Element`,
+   *   or `null` if no elements in any of our wrapped nodes matched.
+   * 
+   * @param {boolean} [options.deep] Search inside open shadow roots?
+   * 
+   * If `true` the shadow roots of the wrapped elements (and of any
+   * elements inside them, at any depth) are searched as well. Results
+   * are in document order, with elements inside a shadow root following
+   * its host element. Does not apply to `number` queries.
+   * 
+   * @returns {?(Element|ElementsWrapper)} Result of query.
+   * @throws {TypeError} If `query` was an invalid type.
+   */
+  get(query, options)
+  {
+    options = this.getOptions(options);
+
+    const wrap = options.wrapQueries ?? true;
+    const deep = options.deep ?? false;
+
+    let elem;
+
+    if (!this.isValid)
+    {
+      elem = null;
+    }
+    else if (typeof query === N)
+    {
+      if (this.isCollection)
+      { // Use the `children` getter for collections.
+        const children = this.children;
+        elem = children.wraps[query];
+      }
+      else
+      { // Single elements are simpler.
+        elem = this.wraps.children[query];
+      }
+    }
+    else if (typeof query === S)
+    { // A selector.
+      if (deep)
+      { // The first match from every node and shadow root, in order.
+        elem = searchEach(this, deep, node => node.querySelector(query))[0];
+      }
+      else if (this.isCollection)
+      {
+        for (const node of this.wraps)
+        {
+          if (E.isQueryable(node, this.env))
+          {
+            const subres = node.querySelector(query);
+            if (subres)
+            { // Found a valid result.
+              elem = subres;
+              break;
+            }
+          }
+        }
+      }
+      else
+      { // Again, look how much easier.
+        elem = this.wraps.querySelector(query);
+      }
+    }
+    else if (typeof query === F)
+    { // Pass it off to `query()` forcing the `multiple` option to `false`.
+      return this.query(options, false, query);
+    }
+    else if (isSearch(query))
+    { // An XPath, criteria, or text query.
+      return search(this, query, options, false);
+    }
+    else
+    { // Anything else is invalid.
+      console.error({query, options});
+      throw new TypeError("invalid get() query type");
+    }
+
+    return wrap ? this._make(elem) : elem;
+
+  }
 
-/**
- * A wrapper around HTML Elements providing helper methods.
- * 
- * @exports module:@lumjs/web-core-extra/wrapper
- */
-class ElementsWrapper
-{
   /**
-   * Build a new wrapper instance.
+   * Find multiple elements.
    * 
-   * @param {(string|object)} wraps The element(s) we are wrapping.
+   * @param {(string|function|RegExp|QueryObject)} query A selectory query.
    * 
-   * If this is a `string` then it must be either a valid tag name,
-   * or a snippet of HTML source.
+   * - If this is a `string` we use `node.querySelectorAll()` directly.
+   * - If this is a `function` we return `this.query(options, true, query)`.
+   * - If this is a `RegExp`, we look for the innermost elements with
+   *   `textContent` that matches (i.e. not their ancestors).
+   * - If this is a `QueryObject`, we look for every element that
+   *   matches its criteria, or its XPath expression.
+   * 
+   * If this is wrapping a collection, the results from every element are
+   * sorted into document order, and any duplicates (from nested elements)
+   * are removed. The same applies to `query()`.
+   * 
+   * @param {object} [options] Options; see `get()`.
+   * @returns {?(Element[]|ElementsWrapper)} Result of query.
+   * @throws {TypeError} If `query` was an invalid type.
+   */
+  find(query, options)
+  {
+    options = this.getOptions(options);
+
+    if (typeof query === F)
+    {
+      return this.query(options, true, query);
+    }
+    else if (isSearch(query))
+    {
+      return search(this, query, options, true);
+    }
+    else if (typeof query !== S)
+    {
+      throw new TypeError("invalid find() query type");
+    }
+
+    const wrap = options.wrapQueries ?? true;
+    const deep = options.deep ?? false;
+
+    let results;
+
+    if (!this.isValid)
+    {
+      results = null;
+    }
+    else if (this.isCollection || deep)
+    {
+      results = searchEach(this, deep, node => node.querySelectorAll(query));
+    }
+    else
+    {
+      results = this.wraps.querySelectorAll(query);
+    }
+
+    return wrap ? this._make(results) : results;
+  }
+
+  query(...args)
+  {
+    let results, options, invalidOpts=false;
+
+    if (args.length === 0)
+    { // No arguments, use the default options.
+      invalidOpts = true;
+    }
+    else if (isObj(args[0]) && args[0][WRAPPER_OPTS])
+    { // Compiled set of options passed.
+      options = args.shift();
+    }
+
+    if (!options)
+    { // No options found yet.
+      options = this.getOptions();
+    }
+
+    const wrap     = options.wrapQueries  ?? true;
+    const withInfo = options.queryDetails ?? false;
+    const deep     = options.deep         ?? false;
+
+    const env = this.env;
+
+    const find    = (withInfo ? E.findWith : E.find).bind(null, env);
+    const details = withInfo ? []         : null;
+
+    if (isObj(options.getNested))
+    { // Options for getNested specified inside our own options.
+      args.push(options.getNested);
+    }
+
+    if (invalidOpts || !this.isValid)
+    { // Invalid will always return a null result.
+      results = null; // Invalid result
+    }
+    else if (this.isCollection || deep)
+    { // Multiple nodes (or shadow roots) to check.
+      results = searchEach(this, deep, function(node)
+      {
+        const retValue = find(node, ...args);
+        if (withInfo)
+        {
+          details.push(retValue);
+          return retValue.found;
+        }
+        return retValue;
+      });
+
+      if (!this.isCollection && args.find(arg => typeof arg === B) === false)
+      { // Only a single result was wanted.
+        results = results[0] ?? null;
+      }
+    }
+    else
+    { // A single element.
+      results = find(this.wraps, ...args);
+      if (withInfo)
+      { // Unwrap results from FindResult object.
+        details.push(results);
+        results = results.found;
+      }
+    }
+
+    const retVal = wrap ? this._make(results) : results;
+
+    if (withInfo)
+    {
+      def(retVal, '$findWith',     {value: details});
+      def(retVal, '$queryOptions', {value: options});
+    }
+
+    return retVal;
+
+  } // query()
+
+  /**
+   * Get the shadow roots of the wrapped elements.
+   * 
+   * If an element doesn't have a shadow root yet, one is attached.
+   * Closed shadow roots attached by this method are remembered, so they
+   * will be returned again by later calls (with any wrapper).
+   * 
+   * @param {object} [options] Options for `attachShadow()`.
+   * 
+   * Only used when attaching a new shadow root.
+   * The `mode` will be `"open"` unless specified.
+   * 
+   * @param {boolean} [options.attach=true] Attach new shadow roots?
+   * 
+   * If `false`, elements without a shadow root are skipped.
+   * 
+   * @returns {ElementsWrapper} A new wrapper with the shadow roots.
+   * @throws {TypeError} If shadow roots aren't supported.
+   */
+  shadow(options={})
+  {
+    const {attach=true, ...init} = options;
+    init.mode ??= 'open';
+
+    const roots = [];
+    for (const node of nodesOf(this))
+    {
+      if (!(node instanceof this.env.Element)) continue;
+
+      let root = node.shadowRoot ?? SHADOW_ROOTS.get(node);
+      if (!root && attach)
+      {
+        if (typeof node.attachShadow !== F)
+        {
+          console.error({node, options, wrapper: this});
+          throw new TypeError("Shadow roots are not supported");
+        }
+        root = node.attachShadow(init);
+        if (root.mode === 'closed')
+        {
+          SHADOW_ROOTS.set(node, root);
+        }
+      }
+
+      if (root) roots.push(root);
+    }
+
+    return this._make(roots);
+  }
+
+  /**
+   * Add content to our element(s).
+   * 
+   * Uses `@lumjs/web-core-extra/env.addContent`.
+   * 
+   * @param {(string|object)} content Content to add
+   * 
+   * - If this value is a `string`, OR the instance is wrapping a single
+   *   `Element`, then this will be passed to `addContent()` directly.
+   * 
+   * - If this is an `Element`, AND the instance is wrapping a collection
+   *   of elements, then this will be _cloned_ for each wrapped element.
+   * 
+   * - If this is a collection of elements, AND the instance is wrapping 
+   *   a collection of elements, then a separate array containing _clones_
+   *   of each element in this will be used for each wrapped element.
+   * 
+   * @param {string} [pos] Position to add at (see `addContent()`).
+   * @returns {object} `this`
+   */
+  add(content, pos=POS.LAST)
+  {
+    if (!this.isValid) return this;
+
+    // Collections need a clone of the content for each element.
+    const getContent = contentFactory(this, content);
+
+    for (const node of staticNodes(this))
+    {
+      E.addContent(this.env, node, getContent(), pos);
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove the wrapped elements from the document.
+   * 
+   * This also clears the private `data` storage, and removes any event
+   * handlers assigned with `on()`, for the removed elements and all of
+   * their descendants. Use `detach()` if you want to keep those.
+   * 
+   * @param {NodeTest} [test] Only remove elements that pass this test.
+   * @returns {object} `this`
+   */
+  remove(test)
+  {
+    test = nodeTest(test, this.env);
+
+    for (const node of staticNodes(this))
+    {
+      if (test(node))
+      {
+        cleanNode(node);
+        node.remove();
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove the wrapped elements from the document,
+   * but keep their `data` and event handlers.
+   * 
+   * Useful for elements that will be re-inserted later.
+   * 
+   * @param {NodeTest} [test] Only detach elements that pass this test.
+   * @returns {object} `this`
+   */
+  detach(test)
+  {
+    test = nodeTest(test, this.env);
+
+    for (const node of staticNodes(this))
+    {
+      if (test(node))
+      {
+        node.remove();
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove all child nodes from the wrapped elements.
+   * 
+   * The removed descendants are cleaned up the same as `remove()`.
+   * 
+   * @returns {object} `this`
+   */
+  empty()
+  {
+    for (const node of staticNodes(this))
+    {
+      cleanNode(node, false);
+      node.replaceChildren();
+    }
+
+    return this;
+  }
+
+  /**
+   * Replace the wrapped elements with new content.
    * 
-   * If it is an `object`, it must be an `Element`, `NodeList`, 
-   * `HTMLCollection`, or `Array` of `Element` objects.
+   * The replaced elements are cleaned up the same as `remove()`.
    * 
-   * @param {object} [options] Options that change the behaviours.
+   * @param {(string|object)} content - The replacement content.
    * 
-   * Will be assigned to the `options` instance property.
+   * Supports the same values as `add()`, including cloning of
+   * elements when this instance is wrapping a collection.
    * 
-   * @param {object} [options.parse] Options for `parseHTML` function.
+   * @returns {object} `this` (which still wraps the replaced elements).
+   */
+  replaceWith(content)
+  {
+    if (!this.isValid) return this;
+
+    const getContent = contentFactory(this, content);
+
+    for (const node of staticNodes(this))
+    {
+      if (!node.parentNode) continue; // Nothing to replace in.
+      E.addContent(this.env, node, getContent(), POS.BEFORE);
+      cleanNode(node);
+      node.remove();
+    }
+
+    return this;
+  }
+
+  /**
+   * Wrap each of the wrapped elements in a new structure.
    * 
-   * @param {function} [options.nodeClass=Element] Class for valid nodes.
+   * @param {(string|Element|ElementsWrapper)} structure - The wrapping.
    * 
-   * @param {boolean} [options.separateSingle=true] 
-   * If `true` and the `wraps` is a collection with only 1 element,
-   * it is treated the same as if the element had been passed directly.
+   * - A `string` may be a tag name or an HTML snippet.
+   * - If this is an `Element`, AND the instance is wrapping a collection
+   *   of elements, then it will be _cloned_ for each wrapped element.
    * 
-   * @param {boolean} [options.expandChildren=false]
-   * See `children`, `firstChild`, and `lastChild` for a description of
-   * what this option does.
+   * If the structure has nested elements, the wrapped element will be
+   * placed inside the innermost first descendant.
    * 
-   * @param {boolean} [options.wrapQueries=true]
-   * Default value for the option of the same name in the
-   * `get()`, `find()`, and `query()` methods.
+   * @returns {object} `this`
+   */
+  wrapWith(structure)
+  {
+    if (!this.isValid) return this;
+
+    const getStructure = structureFactory(this, structure);
+
+    for (const node of staticNodes(this))
+    {
+      const outer = getStructure();
+      if (node.parentNode)
+      {
+        node.parentNode.insertBefore(outer, node);
+      }
+      innermost(outer).appendChild(node);
+    }
+
+    return this;
+  }
+
+  /**
+   * Wrap the contents of each of the wrapped elements in a new structure.
    * 
-   * @param {boolean} [options.queryDetails=false] 
-   * Determines if the `query()` method gets advanced details
-   * from the `@lumjs/web-core/query.find()` method or not.
+   * @param {(string|Element|ElementsWrapper)} structure - The wrapping.
    * 
-   * @param {boolean} [options.recompileOptions=false]
-   * The default value for the `recompile` argument of `getOptions()`.
+   * Supports the same values as `wrapWith()`.
    * 
+   * @returns {object} `this`
    */
-  constructor(wraps, options={})
+  wrapInner(structure)
   {
-    const ct = options.nodeClass      ?? Element;
-    const ss = options.separateSingle ?? true;
+    if (!this.isValid) return this;
 
-    // this._wrapped is the original wraps arg before processing.
-    def(this, '_wrapped', {value: wraps});
+    const getStructure = structureFactory(this, structure);
 
-    if (typeof wraps === S)
+    for (const node of staticNodes(this))
     {
-      if (VALID_TAG.test(wraps))
-      { // A simple element tag name.
-        wraps = document.createElement(wraps);
-      }
-      else
-      { // Assume an HTML snippet.
-        const parseOpts = options.parse ?? options;
-        wraps = parseHTML(wraps, parseOpts);
-      }
+      const outer = getStructure();
+      innermost(outer).append(...node.childNodes);
+      node.appendChild(outer);
     }
 
-    // Are we wrapping a collection?
-    let isCollection = U.isCollection(wraps, ct);
+    return this;
+  }
 
-    if (ss && isCollection && wraps.length === 1)
-    { // Separate the single element.
-      wraps = wraps[0];
-      isCollection = false;
+  /**
+   * Remove the parents of the wrapped elements,
+   * leaving the elements (and their siblings) in their place.
+   * 
+   * The `<body>` and `<html>` elements will never be removed.
+   * 
+   * @param {NodeTest} [test] Only remove parents that pass this test.
+   * @returns {object} `this`
+   */
+  unwrap(test)
+  {
+    const parents = this.parent(test);
+
+    for (const parent of staticNodes(parents))
+    {
+      const doc = parent.ownerDocument;
+      if (!parent.parentNode 
+        || parent === doc.body 
+        || parent === doc.documentElement)
+      { // Cannot remove this one.
+        continue;
+      }
+      cleanNode(parent, true, false);
+      parent.replaceWith(...parent.childNodes);
     }
 
-    const isValid = 
-    (
-      (isCollection && wraps.length > 0) // A non-empty collection.
-      || wraps instanceof ct             // A single node.
-    );
+    return this;
+  }
 
-    def(this, 'options',      {value: options});
-    def(this, 'wraps',        {value: wraps});
-    def(this, 'isCollection', isCollection);
-    def(this, 'isValid',      isValid);
+  /**
+   * Add a snippet of HTML to our element(s).
+   * 
+   * Uses `@lumjs/web-core/content.addHTML`.
+   * 
+   * If `options.sanitize` is set, the HTML will be sanitized first.
+   * 
+   * @param {string} html HTML text to add.
+   * @param {string} [pos] Position to add at.
+   * @returns {object} `this`
+   */
+  addHTML(html, pos=POS.LAST)
+  {
+    if (!this.isValid) return this;
 
-  } // constructor()
+    html = safeHTML(this, html);
 
-  get id() 
-  { 
-    if (!this.isCollection)
+    for (const node of staticNodes(this))
     {
-      return this.wraps.id;
+      addString(this.env, node, html, pos, 'html');
     }
+
+    return this;
   }
 
-  set id(id)
+  /**
+   * Add a text node to our element(s).
+   * 
+   * Uses `@lumjs/web-core/content.addText`.
+   * 
+   * @param {string} text The text to add.
+   * @param {string} [pos] Position to add at.
+   * @returns {object} `this`
+   */
+  addText(text, pos=POS.LAST)
   {
-    if (this.isCollection)
+    if (!this.isValid) return this;
+
+    for (const node of staticNodes(this))
     {
-      throw new TypeError("Cannot set 'id' on a collection!");
+      addString(this.env, node, text, pos, 'text');
     }
-    this.wraps.id = id;
+
+    return this;
   }
 
-  get class()
+  /**
+   * Get or set the HTML content of the wrapped elements.
+   * 
+   * @param {(string|ValueCallback)} [html] HTML to set.
+   * 
+   * If this is omitted, returns the `innerHTML` of the wrapped element;
+   * for a collection it's the `innerHTML` of every element joined together.
+   * For fragments (including shadow roots) it's their children serialized.
+   * 
+   * Otherwise this replaces the content of every wrapped element.
+   * The replaced descendants are cleaned up the same as `remove()`,
+   * and if `options.sanitize` is set, the HTML will be sanitized first.
+   * 
+   * If this is a `function` it will be called for each wrapped element;
+   * the `current` value will be the existing `innerHTML`.
+   * 
+   * @returns {(string|object)} Will be `this` when setting content.
+   */
+  html(html)
   {
-    if (!this.isValid) return null;
+    if (arguments.length === 0)
+    { // Get the HTML.
+      return Array.from(nodesOf(this), node => innerHTML(this, node)).join('');
+    }
 
-    if (this.isCollection)
-    { 
-      const lists = [];
-      for (const node of this.wraps)
+    return setEach(this, html,
+      node => innerHTML(this, node),
+      (node, val) => 
       {
-        if (node.classList)
+        cleanNode(node, false);
+        val = safeHTML(this, String(val ?? ''));
+        if (node instanceof this.env.DocumentFragment)
         {
-          lists.push(node.classList);
+          node.replaceChildren();
+          E.addToFragment(this.env, node, val, POS.LAST, 'html');
         }
-      }
-      return lists;
-    }
-    else
-    { 
-      return this.wraps.classList;
-    }
+        else
+        {
+          node.innerHTML = val;
+        }
+      });
   }
 
-  set class(className)
+  /**
+   * Get or set the text content of the wrapped elements.
+   * 
+   * @param {(string|ValueCallback)} [text] Text to set.
+   * 
+   * If this is omitted, returns the `textContent` of the wrapped element;
+   * for a collection it's the `textContent` of every element joined together.
+   * 
+   * Otherwise this replaces the content of every wrapped element with
+   * a single text node. The replaced descendants are cleaned up the same
+   * as `remove()`.
+   * 
+   * If this is a `function` it will be called for each wrapped element;
+   * the `current` value will be the existing `textContent`.
+   * 
+   * @returns {(string|object)} Will be `this` when setting content.
+   */
+  text(text)
   {
-    if (typeof className !== S)
-    {
-      throw new TypeError("Cannot set non-string class name");
+    if (arguments.length === 0)
+    { // Get the text.
+      return Array.from(nodesOf(this), node => node.textContent).join('');
     }
 
-    if (!this.isValid) return null;
-
-    if (this.isCollection)
-    {
-      for (const node of this.wraps)
+    return setEach(this, text,
+      node => node.textContent,
+      (node, val) => 
       {
-        node.className = className;
-      }
-    }
-    else
-    {
-      this.wraps.className = className;
-    }
+        cleanNode(node, false);
+        node.textContent = String(val ?? '');
+      });
   }
 
   /**
-   * The first child `Element` of our wrapped element(s).
+   * Serialize the wrapped elements (including themselves) as HTML.
    * 
-   * In the case where this instance has multiple wrapped elements,
-   * what is returned depends on the `expandChildren` constructor option:
+   * @returns {string} The `outerHTML` of every wrapped element joined
+   * together; or an empty string if there are no valid elements.
+   * Fragments (including shadow roots) have their children serialized.
+   */
+  outerHTML()
+  {
+    return Array.from(nodesOf(this), node => outerHTML(this, node)).join('');
+  }
+
+  /**
+   * Update the content of the wrapped elements to match new content,
+   * without replacing the nodes that are still needed.
    * 
-   * If `true` returns the first child element of the first wrapped element.
-   * If `false` (default) returns the first wrapped element itself.
+   * Uses `@lumjs/web-core-extra/morph.morph`. Any nodes removed by
+   * the morph are cleaned up the same as `remove()`.
    * 
-   * @returns {?Element}
+   * @param {(string|object)} content - The new content.
+   * 
+   * May be an HTML `string`, a `Node`, a wrapper, or a collection.
+   * Nodes are copied as needed, so they are not moved out of the source.
+   * 
+   * @param {object} [options] Options for `morph()`; including
+   * the `skip` and `preserve` hooks.
+   * 
+   * @returns {object} `this`
    */
-  get firstElement()
+  morph(content, options={})
   {
-    if (!this.isValid) return null;
-
-    if (this.isCollection)
+    if (content instanceof ElementsWrapper)
     {
-      const child = this.wraps[0];
-      return this.options.expandChildren ? child.firstElementChild : child;
+      content = nodesOf(content);
     }
-    else
+    else if (typeof content === S)
     {
-      return this.wraps.firstElementChild;
+      content = safeHTML(this, content);
+    }
+
+    const removed = options.removed;
+    const opts = Object.assign({}, options, 
+    {
+      removed(node)
+      {
+        if (typeof removed === F) removed(node);
+        cleanNode(node);
+      },
+    });
+
+    for (const node of staticNodes(this))
+    {
+      morphing.morph(node, content, opts);
     }
+
+    return this;
   }
 
   /**
-   * The last child `Element` of our wrapped element(s).
+   * A callback function for the `renderList()` method.
    * 
-   * In the case where this instance has multiple wrapped elements,
-   * what is returned depends on the `expandChildren` constructor option:
+   * @callback RenderCallback
+   * @param {object} row - A wrapper around the row element.
+   * @param {*} item - The item the row is for.
+   * @param {number} index - The index of the item.
+   * @param {boolean} isNew - Was the row element just created?
+   * @returns {void}
+   * @this {module:@lumjs/web-core-extra/wrapper} The container wrapper.
+   */
+
+  /**
+   * Render a list of items as rows in the wrapped elements.
    * 
-   * If `true` returns the last child element of the last wrapped element.
-   * If `false` (default) returns the last wrapped element itself.
+   * Each wrapped element is a container, and gets one row element per
+   * item, cloned from a template. The rows are remembered by key, so
+   * calling this again will re-use (and re-order if needed) the existing
+   * row elements, only creating rows for new keys and removing rows for
+   * keys that are gone. Re-used rows keep their `data` and event handlers;
+   * removed rows are cleaned up the same as `remove()`.
    * 
-   * @returns {?Element}
+   * The rows are kept together, and new rows are added at the end of
+   * the container, after any other child nodes.
+   * 
+   * @param {Iterable} items - The items to render.
+   * 
+   * @param {object} [options] Options
+   * 
+   * @param {(string|Element|object)} [options.template] Row template.
+   * 
+   * - A `<template>` element will use the first element in its content.
+   * - Any other `Element` will be cloned as is.
+   * - A `string` is a selector, looked for in the container first,
+   *   then in the document.
+   * - A wrapper will use its first element.
+   * 
+   * If not specified, the first `<template>` child of the container is used.
+   * 
+   * @param {(string|function)} [options.key] How to get the item keys.
+   * 
+   * - A `string` is the name of a property in each item.
+   * - A `function` is passed the `item` and `index`, and must return the key.
+   * 
+   * If not specified, the index is used as the key. Keys must be unique.
+   * 
+   * @param {module:@lumjs/web-core-extra/wrapper~RenderCallback} 
+   * [options.render] Called for every row to fill it in.
+   * 
+   * @returns {object} `this`
+   * @throws {TypeError} If there is no template, or a key is repeated.
    */
-  get lastElement()
+  renderList(items, options={})
   {
-    if (!this.isValid) return null;
+    const getKey = rowKey(options.key);
+    const render = options.render;
+    items = Array.from(items);
+
+    // Check the keys before changing anything.
+    const keys = items.map((item, index) => getKey(item, index));
+    const seen = new Set();
+    for (let index=0; index < keys.length; index++)
+    {
+      const key = keys[index];
+      if (seen.has(key))
+      {
+        console.error({key, item: items[index], index, items});
+        throw new TypeError("Duplicate list item key");
+      }
+      seen.add(key);
+    }
+
+    for (const container of staticNodes(this))
+    {
+      const data = U.getSymbolMap(container, WRAPPER_DATA);
+      const oldRows = data.get(WRAPPER_ROWS) ?? new Map();
+      const newRows = new Map();
+      let source = null;
+      let prev = null;
+
+      // The first existing row is where the list starts.
+      let start = null;
+      for (const row of oldRows.values())
+      {
+        if (row.parentNode === container && (start === null
+          || start.compareDocumentPosition(row) & 2)) // PRECEDING
+        {
+          start = row;
+        }
+      }
+
+      for (let index=0; index < items.length; index++)
+      {
+        const item = items[index];
+        const key = keys[index];
+
+        let row = oldRows.get(key);
+        const isNew = (row === undefined);
+        if (isNew)
+        {
+          source ??= rowTemplate(this, container, options.template);
+          row = this.env.document.importNode(source, true);
+        }
+        newRows.set(key, row);
+
+        const ref = prev ? prev.nextSibling : start;
+        if (row !== ref)
+        {
+          container.insertBefore(row, ref);
+        }
+        prev = row;
+
+        if (typeof render === F)
+        {
+          render.call(this, this._make(row), item, index, isNew);
+        }
+      }
+
+      for (const [key, row] of oldRows)
+      {
+        if (newRows.get(key) !== row)
+        {
+          cleanNode(row);
+          row.remove();
+        }
+      }
 
-    if (this.isCollection)
-    {
-      const child = this.wraps[this.wraps.length - 1];
-      return this.options.expandChildren ? child.lastElementChild : child;
-    }
-    else
-    {
-      return this.wraps.lastElementChild
+      data.set(WRAPPER_ROWS, newRows);
     }
+
+    return this;
   }
 
   /**
-   * A wrapper of the first child element.
+   * Assign event handlers.
    * 
-   * See `firstElement` for more details.
+   * Uses `@lumjs/web-core/events.onEvent`
+   * 
+   * @param  {...any} args - Arguments for `onEvent()` function.
+   * 
+   * The `target` is specified explicitly, and the `off` named
+   * option is set to `true` by default.
+   * 
+   * The first `string` argument is an event specification, which
+   * may contain multiple space-separated event names, each of which
+   * may have one or more namespaces, e.g. `"click.menu keydown.menu"`.
+   * A separate handler is registered for each event name. 
+   * 
+   * A second `string` argument is a delegation selector; the handler
+   * will only be called for events where the target (or its closest
+   * ancestor inside the wrapped element) matches the selector.
+   * 
+   * The registration objects are also stored alongside the private
+   * `data` of each element; this is what allows `off()` to remove the 
+   * handlers without you having to keep the registrations yourself,
+   * and `remove()` to clean them up.
+   * 
+   * @returns {(object|object[])}
+   * 
+   * If this instance wraps a single Element, and only one event name was
+   * specified, this will return the output of the `onEvent()` method,
+   * which will be an event registration object.
+   * 
+   * In any other case this will return an `Array` of event registration
+   * objects, one for each element and event name combination.
+   * 
+   * Each registration object will have a `namespaces` property, which
+   * is an `Array` of the namespaces specified for the event.
    * 
-   * @returns {ElementsWrapper}
    */
-  get first() { return this._make(this.firstElement); }
+  on(...args)
+  {
+    const regs = listen(this, args, false);
+    return (regs.length === 1 && !this.isCollection) ? regs[0] : regs;
+  }
 
   /**
-   * A wrapper of the last child element.
+   * Assign event handlers that will only be called once.
    * 
-   * See `lastElement` for more details.
+   * Accepts exactly the same arguments as `on()`, and has the same
+   * return value. When the handler is called, its registration
+   * is automatically removed (for that element and event only).
    * 
-   * @returns {ElementsWrapper}
+   * Unlike the `once` option for `addEventListener()`, delegated
+   * handlers are only removed when an event matched the selector.
+   * 
+   * @param  {...any} args - See `on()` for details.
+   * @returns {(object|object[])} See `on()` for details.
    */
-  get last()  { return this._make(this.lastElement);  }
+  once(...args)
+  {
+    const regs = listen(this, args, true);
+    return (regs.length === 1 && !this.isCollection) ? regs[0] : regs;
+  }
 
   /**
-   * Get the children of the wrapped elements.
-   * 
-   * In the case where this instance has multiple wrapped elements,
-   * what is returned depends on the `expandChildren` constructor option:
-   * 
-   * If `false` (default) returns this instance itself.
+   * Remove event handlers that were assigned with `on()` or `once()`.
    * 
-   * If `true`, then builds a new wrapper instance with a flat array
-   * of the children from every wrapped element.
+   * @param {...any} [args] Filters for which handlers to remove.
    * 
-   * In the case of a single wrapped element, we simply return a
-   * new wrapper instance using its children.
+   * - The first `string` is an event specification using the same format
+   *   as `on()`; each entry may be an event name (`"click"`), an event name
+   *   with namespaces (`"click.menu"`), or just namespaces (`".menu"`).
+   *   Namespaced entries only match handlers that had all of the namespaces.
+   * - A second `string` will only match handlers with that exact
+   *   delegation selector.
+   * - A `function` (or `object` with a `handleEvent()` method)
+   *   will only match handlers using that listener.
    * 
-   * The new wrapper returned by this will have the same `expandChildren`
-   * option as this instance, but `separateSingle` set to `false`.
+   * If no arguments are passed at all, every handler assigned by `on()`
+   * to the wrapped elements will be removed.
    * 
-   * @returns {ElementsWrapper}
+   * @returns {object} `this`
    */
-  get children()
+  off(...args)
   {
-    if (!this.isValid) return this; // Not valid, returning ourself.
-
-    let children;
+    let spec = null, selector, handler;
 
-    if (this.isCollection)
+    for (const arg of args)
     {
-      if (this.options.expandChildren)
-      { // Expanded list of the children of our wrapped elements.
-        children = [];
-        for (const node of this.wraps)
+      if (typeof arg === S)
+      {
+        if (spec === null)
         {
-          for (const child of node.children)
-          {
-            children.push(child);
-          }
+          spec = arg;
+        }
+        else
+        {
+          selector = arg;
         }
       }
-      else
-      { // Returns this wrapper as is.
-        return this;
+      else if (isListener(arg))
+      {
+        handler = arg;
       }
     }
-    else
-    { 
-      children = this.wraps.children;
-    }
 
-    const makeOpts =
-    {
-      expandChildren: this.options.expandChildren,
-      separateSingle: false, // Force off.
-    }
-
-    return this._make(children, makeOpts);
-  }
-
-  /**
-   * Get an array of wrapper instances for each child.
-   * 
-   * Uses the `children` getter property to generate the
-   * list so all the notes about how `expandChildren` works
-   * applies here as well.
-   * 
-   * @returns {ElementsWrapper[]}
-   * 
-   * May be an empty array if there were no valid children.
-   * 
-   */
-  get wrappedChildren()
-  {
-    const wrapped = [];
-    if (!this.isValid) return wrapped;
+    const filters 
+      = (spec === null) 
+      ? [{event: '', namespaces: []}] 
+      : parseEvents(spec);
 
-    // We make use of the `children` getter.
-    const children = this.children;
+    const matches = reg => 
+    (
+      filters.some(filter => matchEvent(reg, filter))
+      && (selector === undefined || reg.selector === selector)
+      && (handler  === undefined 
+        || reg.handle === handler 
+        || reg.original === handler)
+    );
 
-    if (!children.isValid) return wrapped;
-    if (!children.isCollection)
+    for (const node of nodesOf(this))
     {
-      throw new Error(".children returned non-collection‽");
-    }
+      const events = node[WRAPPER_EVENTS];
+      if (!(events instanceof Map)) continue;
 
-    for (const node of children.wraps)
-    {
-      const wrappedNode = this._make(node);
-      wrapped.push(wrappedNode);
+      for (const regs of events.values())
+      {
+        for (const reg of regs)
+        {
+          if (matches(reg))
+          {
+            reg.off();
+            regs.delete(reg);
+          }
+        }
+      }
     }
 
-   
-    return wrapped;
+    return this;
   }
 
   /**
-   * Get a set of options.
-   * 
-   * Compiles a **new** options object composing the instance defaults
-   * and any locally defined options.
-   * 
-   * This is used by `get()`, `find()`, and `query()`.
+   * Wait for an event to be dispatched on the wrapped elements.
    * 
-   * @param {object} [localOpts] Options to override instance defaults.
-   * @param {boolean} [recompile] Force re-compilation?
+   * The event handlers are registered with `on()`, and are removed
+   * automatically once the returned `Promise` is settled.
    * 
-   * This only has any effect if the `options` passed was returned
-   * by the `getOptions()` method already.
+   * @param {string} event - Event specification.
    * 
-   * - If `true`, it forces a new set of options to be compiled and returned.
-   * - If `false`, it will return the `options` if they are already compiled.
+   * Uses the same format as `on()`, so multiple event names 
+   * (any of which will be accepted) and namespaces are supported.
    * 
-   * If not specified, it uses `this.options.recompileOptions` as default.
+   * @param {object} [options] Options
    * 
-   * @param {boolean} [mark=true] Add a `Symbol` to compiled options?
+   * @param {boolean} [options.all=false] Wait for every element?
    * 
-   * The `Symbol` property will be used to determine if an `object` is
-   * already a compiled set of options generateds by this method.
+   * - If `false` the first matching event from any of the wrapped
+   *   elements will resolve the promise.
+   * - If `true` the promise won't resolve until there has been a
+   *   matching event from every one of the wrapped elements.
    * 
-   * This argument is meant for internal use only. Unless you know what you
-   * are doing, leave it alone.
+   * @param {function} [options.filter] Only accept some events.
    * 
-   * @returns {object} Compiled options.
+   * Will be passed the event (and the element it was registered on
+   * will be `this`), and must return a `boolean` indicating if
+   * the event should be accepted. If it throws an error, the promise
+   * will be rejected with that error.
    * 
-   */
-  getOptions(localOpts, recompile=this.options.recompileOptions, mark=true)
-  {
-    if (isObj(localOpts) && localOpts[WRAPPER_OPTS] && !recompile)
-    { // Options already composed.
-      return localOpts;
-    }
-
-    const compiledOpts = Object.assign({}, this.options, localOpts);
-    if (mark) compiledOpts[WRAPPER_OPTS] = true;
-
-    return compiledOpts;
-  }
-
-  /**
-   * Get a single element.
+   * @param {string} [options.selector] A delegation selector for `on()`.
    * 
-   * @param {(string|number|function)} query - What we are looking for.
+   * @param {AbortSignal} [options.signal] A signal to cancel waiting.
    * 
-   * - If this is a `string` we use `node.querySelector()` directly.
-   * - If this is a `number` we return the child element with that offset.
-   * - If this is a `function` we return `this.query(options, false, query)`.
+   * If the signal is aborted the promise will be rejected with 
+   * the `reason` from the signal.
    * 
-   * @param {object} [options] Options
-   * @param {boolean} [options.wrapQueries] Should results be wrapped?
+   * @param {number} [options.timeout] Give up after this many milliseconds.
    * 
-   * - If `true` the result will be wrapped in a new Wrapper instance.
-   * - If `false` the result will be the first matching `Element`,
-   *   or `null` if no elements in any of our wrapped nodes matched.
+   * If the timeout is reached the promise will be rejected with 
+   * a `DOMException` with the name `TimeoutError`.
    * 
-   * @returns {?(Element|ElementsWrapper)} Result of query.
-   * @throws {TypeError} If `query` was an invalid type.
+   * @returns {Promise<(Event|Event[])>} Resolves with the accepted event;
+   * if `options.all` was `true`, resolves with an `Array` containing the
+   * accepted event for each wrapped element (in the same order as the
+   * wrapped elements).
    */
-  get(query, options)
+  waitFor(event, options={})
   {
-    options = this.getOptions(options);
+    const nodes  = staticNodes(this);
+    const all    = options.all ?? false;
+    const signal = options.signal;
+    const filter = options.filter;
 
-    const wrap = options.wrapQueries ?? true;
+    return new Promise((resolve, reject) =>
+    {
+      if (nodes.length === 0)
+      {
+        return reject(new TypeError("No valid elements to wait for"));
+      }
 
-    let elem;
+      if (signal && signal.aborted)
+      {
+        return reject(signal.reason);
+      }
 
-    if (!this.isValid)
-    {
-      elem = null;
-    }
-    else if (typeof query === N)
-    {
-      if (this.isCollection)
-      { // Use the `children` getter for collections.
-        const children = this.children;
-        elem = children.wraps[query];
+      const found = new Array(nodes.length);
+      let remaining = nodes.length;
+      let regs = [], timer = null;
+
+      const stop = function(target)
+      {
+        for (const reg of regs)
+        {
+          if (target === undefined || reg.target === target)
+          {
+            forgetEvent(reg);
+            reg.off();
+          }
+        }
       }
-      else
-      { // Single elements are simpler.
-        elem = this.wraps.children[query];
+
+      const finish = function()
+      {
+        stop();
+        if (timer !== null)
+        {
+          clearTimeout(timer);
+        }
+        if (signal)
+        {
+          signal.removeEventListener('abort', onAbort);
+        }
       }
-    }
-    else if (typeof query === S)
-    { // A selector.
-      if (this.isCollection)
+
+      const onAbort = function()
       {
-        for (const node of this.wraps)
+        finish();
+        reject(signal.reason);
+      }
+
+      const handler = function(ev)
+      {
+        const target = ev.currentTarget;
+        if (typeof filter === F)
         {
-          if (node instanceof Element)
+          let accepted;
+          try
           {
-            const subres = node.querySelector(query);
-            if (subres)
-            { // Found a valid result.
-              elem = subres;
-              break;
-            }
+            accepted = filter.call(target, ev);
           }
+          catch (err)
+          { // Stop waiting if the filter fails.
+            finish();
+            return reject(err);
+          }
+          if (!accepted) return;
+        }
+
+        if (!all)
+        {
+          finish();
+          return resolve(ev);
+        }
+
+        const index = nodes.indexOf(target);
+        if (index === -1 || found[index] !== undefined) return;
+
+        found[index] = ev;
+        stop(target);
+
+        if (--remaining === 0)
+        {
+          finish();
+          resolve(found);
         }
       }
-      else
-      { // Again, look how much easier.
-        elem = this.wraps.querySelector(query);
+
+      const args = [event, handler];
+      if (typeof options.selector === S)
+      {
+        args.push(options.selector);
       }
-    }
-    else if (typeof query === F)
-    { // Pass it off to `query()` forcing the `multiple` option to `false`.
-      return this.query(options, false, query);
-    }
-    else
-    { // Anything else is invalid.
-      console.error({query, options});
-      throw new TypeError("invalid get() query type");
-    }
 
-    return wrap ? this._make(elem) : elem;
+      regs = listen(this, args, false);
+
+      if (signal)
+      {
+        signal.addEventListener('abort', onAbort);
+      }
 
+      if (typeof options.timeout === N)
+      {
+        timer = setTimeout(function()
+        {
+          finish();
+          reject(new DOMException(
+            `Timed out waiting for "${event}" event`, 'TimeoutError'));
+        }, options.timeout);
+      }
+    });
+  }
+
+  /**
+   * Trigger an event.
+   * 
+   * Uses `@lumjs/web-core/eventbuilder.trigger()`;
+   * passes our wrapped content as the target.
+   * 
+   * @param {(string|Event)} event - Event to trigger
+   * @param {object} [options] Options
+   * 
+   * @returns {Array} An array of trigger result objects.
+   */
+  trigger(event, options)
+  {
+    return E.trigger(this.env, this.wraps, event, options);
   }
 
   /**
-   * Find multiple elements.
+   * Get or set the value of form controls.
    * 
-   * @param {(string|function)} query A selectory query.
+   * Uses `@lumjs/web-core-extra/forms.getValue` and `setValue`.
    * 
-   * - If this is a `string` we use `node.querySelectorAll()` directly.
-   * - If this is a `function` we return `this.query(options, true, query)`.
+   * Reading uses the first wrapped element;
+   * writing applies to every wrapped element that is a form control.
    * 
-   * @param {object} [options] Options [TBD]
-   * @returns {?(Element[]|ElementsWrapper)} Result of query.
-   * @throws {TypeError} If `query` was an invalid type.
+   * @param {(*|ValueCallback)} [value] The value to set.
+   * 
+   * If this is omitted, returns the current value.
+   * 
+   * If this is a `function` it will be called for each wrapped control;
+   * the `current` value will be the existing control value.
+   * 
+   * See `forms.setValue()` for how values are applied to checkboxes,
+   * radio buttons, and multiple selection lists.
+   * 
+   * @returns {*} Will be `this` when setting values.
+   * 
+   * When getting a value, it will be the value of the first wrapped
+   * element, or `undefined` if that is not a form control.
    */
-  find(query, options={})
+  val(value)
   {
-    options = this.getOptions(options);
-
-    if (typeof query === F)
-    {
-      return this.query(options, true, query);
-    }
-    else if (typeof query !== S)
+    if (arguments.length === 0)
     {
-      throw new TypeError("invalid find() query type");
+      const node = firstNode(this);
+      return forms.isControl(node) ? forms.getValue(node) : undefined;
     }
 
-    const wrap = options.wrapQueries ?? true;
-
-    let results;
-
-    if (!this.isValid)
-    {
-      results = null;
-    }
-    else if (this.isCollection)
-    {
-      results = [];
-      for (const node of this.wraps)
+    return setEach(this, value,
+      node => forms.isControl(node) ? forms.getValue(node) : undefined,
+      function(node, val)
       {
-        if (node instanceof Element)
+        if (forms.isControl(node))
         {
-          const subres = node.querySelectorAll(query);
-          if (subres)
-          {
-            for (const subnode of subres)
-            {
-              results.push(subnode);
-            }
-          }
+          forms.setValue(node, val);
         }
-      }
-    }
-    else
-    {
-      results = this.wraps.querySelectorAll(query);
-    }
+      });
+  }
 
-    return wrap ? this._make(results) : results;
+  /**
+   * Serialize the values of form controls in the wrapped elements.
+   * 
+   * Uses `@lumjs/web-core-extra/forms.serialize`.
+   * 
+   * Checkboxes, radio groups, multiple selection lists, `name[]` arrays,
+   * and nested names using dots or brackets are all supported.
+   * 
+   * @param {object} [options] Options for `serialize()`.
+   * @param {string} [options.format="object"] Output format; 
+   * one of `"object"`, `"FormData"`, `"URLSearchParams"`, or `"json"`.
+   * 
+   * @returns {(object|FormData|URLSearchParams|string)}
+   */
+  serialize(options)
+  {
+    return forms.serialize(nodesOf(this), options);
   }
 
-  query(...args)
+  /**
+   * Populate form controls in the wrapped elements from an object.
+   * 
+   * Uses `@lumjs/web-core-extra/forms.populate`.
+   * 
+   * @param {(object|FormData|URLSearchParams)} values - Values to set;
+   * uses the same format as the `"object"` output of `serialize()`.
+   * @param {object} [options] Options for `populate()`.
+   * @returns {object} `this`
+   */
+  populate(values, options)
   {
-    let results, options, invalidOpts=false;
+    forms.populate(nodesOf(this), values, options);
+    return this;
+  }
 
-    if (args.length === 0)
-    { // No arguments, use the default options.
-      invalidOpts = true;
-    }
-    else if (isObj(args[0]) && args[0][WRAPPER_OPTS])
-    { // Compiled set of options passed.
-      options = args.shift();
-    }
+  /**
+   * Validate form controls in the wrapped elements.
+   * 
+   * Uses `@lumjs/web-core-extra/validate.validate`, and then triggers
+   * either a `valid` or `invalid` event (using `trigger()`) on the 
+   * wrapped elements. The event `detail` will be the validation result.
+   * 
+   * @param {object} [rules] Validation rules, keyed by field name;
+   * see `validate()` for details.
+   * 
+   * @param {object} [options] Options for `validate()`.
+   * @param {boolean} [options.events=true] Trigger the events?
+   * 
+   * @returns {Promise<module:@lumjs/web-core-extra/validate~Result>}
+   */
+  async validate(rules, options={})
+  {
+    const result = await validation.validate(nodesOf(this), rules, options);
 
-    if (!options)
-    { // No options found yet.
-      options = this.getOptions();
+    if (this.isValid && (options.events ?? true))
+    {
+      const event = result.valid ? 'valid' : 'invalid';
+      this.trigger(event, {detail: result, bubbles: true});
     }
 
-    const wrap     = options.wrapQueries  ?? true;
-    const withInfo = options.queryDetails ?? false;
+    return result;
+  }
 
-    const find    = withInfo ? Q.findWith : Q.find;
-    const details = withInfo ? []         : null;
+  /**
+   * Bind the wrapped elements to a model object.
+   * 
+   * Uses `@lumjs/web-core-extra/binding.bind`.
+   * 
+   * @param {object} model - The model object.
+   * @param {object} [options] Options for `bind()`.
+   * @returns {module:@lumjs/web-core-extra/binding.Binding} A handle
+   * with `update()`, `render()`, and `unbind()` methods.
+   */
+  bind(model, options)
+  {
+    return binding.bind(nodesOf(this), model, options);
+  }
 
-    if (isObj(options.getNested))
-    { // Options for getNested specified inside our own options.
-      args.push(options.getNested);
-    }
+  /**
+   * Show the wrapped elements.
+   * 
+   * Uses `@lumjs/web-core-extra/animate.show`.
+   * 
+   * @param {(object|number)} [options] Options for `show()`; if
+   * `options.class` is set, that class is added to drive a CSS transition.
+   * 
+   * @returns {Promise<object>} Resolves to `this` when every element
+   * is finished (or immediately if there are no transitions to wait for.)
+   */
+  show(options)
+  {
+    return animateEach(this, animate.show, options);
+  }
 
-    if (invalidOpts || !this.isValid)
-    { // Invalid will always return a null result.
-      results = null; // Invalid result
-    }
-    else if (this.isCollection)
-    { // Multiple nodes to check.
-      results = [];
-      for (const node of this.wraps)
-      {
-        if (node instanceof Element)
-        {
-          const retValue = find(node, ...args);
-          let subres;
+  /**
+   * Hide the wrapped elements.
+   * 
+   * Uses `@lumjs/web-core-extra/animate.hide`.
+   * 
+   * @param {(object|number)} [options] Options for `hide()`; if
+   * `options.class` is set, that class is removed to drive a CSS transition.
+   * 
+   * @returns {Promise<object>} Resolves to `this` when done.
+   */
+  hide(options)
+  {
+    return animateEach(this, animate.hide, options);
+  }
 
-          if (withInfo)
-          {
-            details.push(retValue);
-            subres = retValue.found;
-          }
-          else
-          {
-            subres = retValue;
-          }
+  /**
+   * Show or hide the wrapped elements.
+   * 
+   * Uses `@lumjs/web-core-extra/animate.toggle`.
+   * 
+   * @param {boolean} [force] If `true` show, if `false` hide;
+   * if omitted each element is toggled based on its current state.
+   * @param {(object|number)} [options] Options for `toggle()`.
+   * @returns {Promise<object>} Resolves to `this` when done.
+   */
+  toggle(force, options)
+  {
+    return animateEach(this, animate.toggle, force, options);
+  }
 
-          if (subres)
-          { 
-            if (subres instanceof Element)
-            { // A single result
-              results.push(subres);
-            }
-            else if (U.isCollection(subres))
-            { // A collection of results.
-              for (const subnode of subres)
-              {
-                results.push(subnode);
-              }
-            }
-          }
-        }
-      }
-    }
-    else
-    { // A single element.
-      results = find(this.wraps, ...args);
-      if (withInfo)
-      { // Unwrap results from FindResult object.
-        details.push(results);
-        results = results.found;
-      }
-    }
+  /**
+   * Show the wrapped elements by fading them in.
+   * 
+   * Uses `@lumjs/web-core-extra/animate.fadeIn`.
+   * 
+   * @param {(object|number)} [options] Options for `fadeIn()`.
+   * @returns {Promise<object>} Resolves to `this` when done.
+   */
+  fadeIn(options)
+  {
+    return animateEach(this, animate.fadeIn, options);
+  }
 
-    const retVal = wrap ? this._make(results) : results;
+  /**
+   * Hide the wrapped elements by fading them out.
+   * 
+   * Uses `@lumjs/web-core-extra/animate.fadeOut`.
+   * 
+   * @param {(object|number)} [options] Options for `fadeOut()`.
+   * @returns {Promise<object>} Resolves to `this` when done.
+   */
+  fadeOut(options)
+  {
+    return animateEach(this, animate.fadeOut, options);
+  }
 
-    if (withInfo)
-    {
-      def(retVal, '$findWith',     {value: details});
-      def(retVal, '$queryOptions', {value: options});
-    }
+  /**
+   * Show the wrapped elements by sliding them down.
+   * 
+   * Uses `@lumjs/web-core-extra/animate.slideDown`.
+   * 
+   * @param {(object|number)} [options] Options for `slideDown()`.
+   * @returns {Promise<object>} Resolves to `this` when done.
+   */
+  slideDown(options)
+  {
+    return animateEach(this, animate.slideDown, options);
+  }
 
-    return retVal;
+  /**
+   * Hide the wrapped elements by sliding them up.
+   * 
+   * Uses `@lumjs/web-core-extra/animate.slideUp`.
+   * 
+   * @param {(object|number)} [options] Options for `slideUp()`.
+   * @returns {Promise<object>} Resolves to `this` when done.
+   */
+  slideUp(options)
+  {
+    return animateEach(this, animate.slideUp, options);
+  }
 
-  } // query()
+  /**
+   * A callback function for the `watch()` method.
+   * 
+   * @callback WatchCallback
+   * @param {object} wrapped - A wrapper around the observed element.
+   * @param {(Array|object)} detail - What was observed.
+   * 
+   * - For `mutation` this is the `Array` of `MutationRecord` objects.
+   * - For `resize` this is a `ResizeObserverEntry`.
+   * - For `visible` this is an `IntersectionObserverEntry`;
+   *   use its `isIntersecting` property to see if it is visible.
+   * 
+   * @param {object} observer - The observer instance.
+   * @returns {void}
+   * @this {Element} The observed element.
+   */
 
   /**
-   * Add content to our element(s).
+   * Watch the wrapped elements for changes.
    * 
-   * Uses `@lumjs/web-core/content.addContent`.
+   * A separate observer is attached to every wrapped element, and stored
+   * in the private `data` of the element. Observers are disconnected by
+   * `unwatch()`, or when the element is removed through the wrapper
+   * (e.g. with `remove()`, `empty()`, `replaceWith()`, or `morph()`).
    * 
-   * @param {(string|object)} content Content to add
+   * @param {string} type - What to watch for.
    * 
-   * - If this value is a `string`, OR the instance is wrapping a single
-   *   `Element`, then this will be passed to `addContent()` directly.
+   * - `"mutation"` uses a `MutationObserver`.
+   * - `"resize"` uses a `ResizeObserver`.
+   * - `"visible"` uses an `IntersectionObserver`.
    * 
-   * - If this is an `Element`, AND the instance is wrapping a collection
-   *   of elements, then this will be _cloned_ for each wrapped element.
+   * @param {module:@lumjs/web-core-extra/wrapper~WatchCallback} callback
+   * The function to call when something is observed.
    * 
-   * - If this is a collection of elements, AND the instance is wrapping 
-   *   a collection of elements, then a separate array containing _clones_
-   *   of each element in this will be used for each wrapped element.
+   * @param {object} [options] Options
+   * 
+   * For `mutation`, any of the `MutationObserver.observe()` options; if
+   * none of `childList`, `attributes`, or `characterData` are specified,
+   * all of them will be watched (including the entire `subtree`).
+   * 
+   * For `resize`, the `box` option for `ResizeObserver.observe()`.
+   * 
+   * For `visible`, the `root`, `rootMargin`, and `threshold` options
+   * for the `IntersectionObserver`; `root` may also be a wrapper.
+   * 
+   * @param {boolean} [options.once=false] Stop watching after the first
+   * callback? For `visible` this waits until the element is intersecting.
    * 
-   * @param {string} [pos] Position to add at (see `addContent()`).
    * @returns {object} `this`
+   * @throws {TypeError} If the type is invalid, or the observer class
+   * is not available in the window.
    */
-  add(content, pos=POS.LAST)
+  watch(type, callback, options={})
   {
-    if (!this.isValid) return this;
+    const className = WATCH_TYPES[type];
+    const Observer = this.env.window?.[className];
 
-    if (content instanceof ElementsWrapper)
+    if (!className || typeof callback !== F)
+    {
+      console.error({type, callback, options, wrapper: this});
+      throw new TypeError("Invalid watch arguments");
+    }
+    if (typeof Observer !== F)
     {
-      content = content.wraps;
+      console.error({type, env: this.env});
+      throw new TypeError(className + " is not available");
     }
 
-    if (this.isCollection)
+    const once = options.once ?? false;
+    const visibleOpts =
+    {
+      root: (options.root instanceof ElementsWrapper)
+        ? firstNode(options.root)
+        : options.root,
+      rootMargin: options.rootMargin,
+      threshold: options.threshold,
+    }
+
+    for (const node of nodesOf(this))
     {
-      let getContent;
+      const wrapped = this._make(node);
+      const watcher = {type, callback};
 
-      if (typeof content === S)
-      { // The simplest of all.
-        getContent = () => content;
+      const report = function(detail)
+      {
+        if (once && type === 'visible' && !detail.isIntersecting) return;
+        if (once) forgetWatchers(node, w => w === watcher);
+        callback.call(node, wrapped, detail, watcher.observer);
       }
-      else if (content instanceof Element)
-      { // Also fairly simple.
-        getContent = () => content.cloneNode(true);
+
+      if (type === 'mutation')
+      {
+        watcher.observer = new Observer(report);
+        watcher.observer.observe(node, mutationOpts(options));
       }
-      else if (U.isCollection(content))
-      { // A collection of elements.
-        getContent = function()
+      else
+      {
+        watcher.observer = new Observer(function(entries)
         {
-          const clones = [];
-          for (const elem of content)
+          for (const entry of entries)
           {
-            clones.push(elem.cloneNode(true));
+            report(entry);
           }
-          return clones;
-        }
-      }
-      else
-      { // We don't handle that.
-        console.error({content});
-        throw new TypeError("Invalid content");
+        }, (type === 'visible') ? visibleOpts : undefined);
+        watcher.observer.observe(node, 
+          (type === 'resize') ? {box: options.box} : undefined);
       }
 
-      for (const node of this.wraps)
+      const data = U.getSymbolMap(node, WRAPPER_DATA);
+      if (!data.has(WRAPPER_WATCH))
       {
-        addContent(node, getContent(), pos);
+        data.set(WRAPPER_WATCH, new Set());
       }
-    }
-    else
-    { // No cloning or otherwise required.
-      addContent(this.wraps, content, pos);
+      data.get(WRAPPER_WATCH).add(watcher);
     }
 
     return this;
   }
 
   /**
-   * Add a snippet of HTML to our element(s).
-   * 
-   * Uses `@lumjs/web-core/content.addHTML`.
+   * Stop watching the wrapped elements.
    * 
-   * @param {string} html HTML text to add.
-   * @param {string} [pos] Position to add at.
+   * @param {string} [type] Only stop watching for this type.
+   * @param {function} [callback] Only stop watching with this callback.
    * @returns {object} `this`
    */
-  addHTML(html, pos=POS.LAST)
+  unwatch(type, callback)
   {
-    if (!this.isValid) return this;
+    const test = watcher => 
+      ((type === undefined || watcher.type === type)
+      && (callback === undefined || watcher.callback === callback));
 
-    if (this.isCollection)
+    for (const node of nodesOf(this))
     {
-      for (const node of this.wraps)
-      {
-        addHTML(node, html, pos);
-      }
-    }
-    else
-    {
-      addHTML(this.wraps, html, pos);
+      forgetWatchers(node, test);
     }
+
+    return this;
   }
 
   /**
-   * Add a text node to our element(s).
+   * Queue a function that reads from the DOM.
    * 
-   * Uses `@lumjs/web-core/content.addText`.
+   * The function is run in the next animation frame, before any
+   * queued `mutate()` functions, so reading the layout won't force
+   * the browser to re-calculate it.
    * 
-   * @param {string} text The text to add.
-   * @param {string} [pos] Position to add at.
-   * @returns {object} `this`
+   * @param {function} fn - The function to run.
+   * 
+   * It is passed this wrapper as its only argument,
+   * and `this` will also be this wrapper.
+   * 
+   * @returns {Promise} Resolves with the return value of `fn`.
    */
-  addText(text, pos=POS.LAST)
+  measure(fn)
   {
-    if (!this.isValid) return this;
-
-    if (this.isCollection)
-    {
-      for (const node of this.wraps)
-      {
-        addText(node, text, pos);
-      }
-    }
-    else
-    {
-      addText(this.wraps, text, pos);
-    }
+    return schedule(this, 'measure', fn);
   }
 
   /**
-   * Assign event handlers.
+   * Queue a function that writes to the DOM.
    * 
-   * Uses `@lumjs/web-core/events.onEvent`
+   * The function is run in the next animation frame, after any
+   * queued `measure()` functions.
    * 
-   * @param  {...any} args - Arguments for `onEvent()` function.
+   * @param {function} fn - The function to run; see `measure()`.
+   * @returns {Promise} Resolves with the return value of `fn`.
+   */
+  mutate(fn)
+  {
+    return schedule(this, 'mutate', fn);
+  }
+
+  /**
+   * Run a function that queues a batch of reads and writes.
    * 
-   * The `target` is specified explicitly, and the `off` named
-   * option is set to `true` by default.
+   * The function is passed an object with `measure()` and `mutate()`
+   * functions that work like the wrapper methods, but the promises
+   * they return are tracked; the promise returned by `batch()` only
+   * resolves when they (and any queued while waiting for them) are done.
    * 
-   * @returns {(object|object[])}
+   * ```js
+   * await wrapper.batch(function({measure, mutate})
+   * {
+   *   measure(w => w.firstElement.offsetHeight)
+   *     .then(h => mutate(w => w.firstElement.style.minHeight = h+'px'));
+   * });
+   * ```
    * 
-   * If this instance wraps a single Element this will return the
-   * output of the `onEvent()` method, which will be an event
-   * registration object.
+   * @param {function} fn - The function to run (immediately).
    * 
-   * If this instance wraps multiple elements, this will return an
-   * `Array` of event registration objects, one for each element.
+   * It is passed the `{measure, mutate}` object and this wrapper;
+   * and `this` will be this wrapper. If it returns a promise, that
+   * will also be waited for.
    * 
+   * @returns {Promise<object>} Resolves to `this` when everything is done;
+   * rejects if `fn` or any of the queued functions failed.
    */
-  on(...args)
+  async batch(fn)
   {
-    const defo = {off: true};
-    let output;
+    const tasks = [];
+    const track = function(promise)
+    {
+      tasks.push(promise);
+      return promise;
+    }
+    const tools =
+    {
+      measure: f => track(this.measure(f)),
+      mutate:  f => track(this.mutate(f)),
+    }
 
-    if (this.isCollection)
+    let failed = false, error;
+    const fail = function(err)
     {
-      output = [];
+      if (!failed) error = err;
+      failed = true;
+    }
 
-      for (const node of this.wraps)
-      {
-        const reg = onEvent(node, defo, ...args);
-        output.push(reg);
-      }
+    try
+    {
+      await fn.call(this, tools, this);
     }
-    else
+    catch (err)
     {
-      output = onEvent(this.wraps, defo, ...args);
+      fail(err);
     }
 
-    return output;
-  }
+    for (let i=0; i < tasks.length; i++)
+    { // More tasks may be added while we wait.
+      await tasks[i].catch(fail);
+    }
 
-  /**
-   * Trigger an event.
-   * 
-   * Uses `@lumjs/web-core/eventbuilder.trigger()`;
-   * passes our wrapped content as the target.
-   * 
-   * @param {(string|Event)} event - Event to trigger
-   * @param {object} [options] Options
-   * 
-   * @returns {Array} An array of trigger result objects.
-   */
-  trigger(event, options)
-  {
-    return trigger(this.wraps, event, options);
+    if (failed) throw error;
+    return this;
   }
 
   /**
@@ -795,6 +3983,8 @@ class ElementsWrapper
    * The data is stored in a private symbol property
    * on the object itself (not in the wrapper instance.)
    * 
+   * See `dataset()` for typed values that use `data-*` attributes too.
+   * 
    * @returns {Map}
    */
   get data()
@@ -802,6 +3992,126 @@ class ElementsWrapper
     return U.getSymbolMap(this.wraps, WRAPPER_DATA);
   }
 
+  /**
+   * Get or set typed data values.
+   * 
+   * Values are read from the private `data` (using `string` keys), or
+   * if not found there, from the `data-*` attributes of the element.
+   * Attribute values are converted: `"true"`, `"false"`, and `"null"`
+   * to those values, numbers (that convert back to the same string)
+   * to a `number`, and JSON objects or arrays are parsed.
+   * 
+   * Reading always uses the first wrapped element;
+   * writing always applies to every wrapped element.
+   * 
+   * @param {(string|object)} [key] The data key.
+   * 
+   * May be in `camelCase` (like `element.dataset`) or `kebab-case`,
+   * with or without the `data-` prefix.
+   * 
+   * If this is an `object`, it is a map of keys to values,
+   * each of which will be set on every wrapped element.
+   * 
+   * If this is omitted entirely, returns a plain object with all of the
+   * `data-*` attributes of the first wrapped element, merged with its
+   * private `data` values (which take precedence).
+   * 
+   * @param {(*|ValueCallback)} [value] The value to set.
+   * 
+   * If this is omitted, returns the current value.
+   * 
+   * Setting a value to `undefined` removes it. A `function` will be
+   * called for each wrapped element; the `current` value will be the
+   * existing data value.
+   * 
+   * @param {object} [options] Options for setting values.
+   * 
+   * @param {boolean} [options.attribute=false] Write to the attributes?
+   * 
+   * If `true` the value is written to the `data-*` attribute (using JSON
+   * for objects and arrays) and removed from the private `data`; so it is
+   * read back from the attribute. Until the attribute is changed by
+   * something else, the value written is what's read back (so a `string`
+   * like `"123"` stays a `string`); after that the attribute value is
+   * converted as above. If `false` the value is only stored in the 
+   * private `data`, and may be any type.
+   * 
+   * @param {boolean} [options.events=true] Trigger `datachange` events?
+   * 
+   * If `true`, a `datachange` event will be triggered on each element
+   * where the value changed. The event `detail` has the `key`, the new
+   * `value`, and the `old` value.
+   * 
+   * @returns {*}
+   * 
+   * - When setting values, this will be `this`.
+   * - When getting a single value, this will be the value, 
+   *   or `undefined` if it (or a valid element) was not found.
+   * - When getting all values, this will be a plain object,
+   *   or `null` if there is no valid element.
+   */
+  dataset(key, value, options={})
+  {
+    if (arguments.length === 0)
+    { // Get all values.
+      const node = firstNode(this);
+      if (!node) return null;
+      const values = {};
+      for (const name in node.dataset ?? {})
+      {
+        values[name] = attrData(node, name, node.dataset[name]);
+      }
+      for (const [name, val] of U.getSymbolMap(node, WRAPPER_DATA))
+      {
+        if (typeof name === S) values[name] = val;
+      }
+      return values;
+    }
+
+    if (isObj(key))
+    { // A map of values to set.
+      for (const name in key)
+      {
+        this.dataset(name, key[name], value);
+      }
+      return this;
+    }
+
+    if (typeof key !== S)
+    {
+      throw new TypeError("Invalid data key");
+    }
+
+    key = dataKey(key);
+
+    if (arguments.length === 1)
+    { // Get the value.
+      const node = firstNode(this);
+      return node ? getData(node, key) : undefined;
+    }
+
+    const toAttr = options.attribute ?? false;
+    const events = options.events ?? true;
+    const env = this.env;
+
+    return setEach(this, value, 
+      node => getData(node, key),
+      function(node, val)
+      {
+        const old = getData(node, key);
+        setData(node, key, val, toAttr);
+        const updated = getData(node, key);
+        if (events && !sameData(old, updated))
+        {
+          E.trigger(env, node, 'datachange', 
+          {
+            detail: {key, value: updated, old},
+            bubbles: true,
+          });
+        }
+      });
+  }
+
   /**
    * A callback function for the `each()` method.
    * 
@@ -852,8 +4162,9 @@ class ElementsWrapper
 
     if (this.isCollection)
     {
-      for (let i=0; i < node.length; i++)
+      for (let i=0; i < this.wraps.length; i++)
       {
+        const node = this.wraps[i];
         const info = {fn, node, index: i};
         info.return = fn.call(node, i, node, this);
         results[i] = info;
@@ -870,12 +4181,359 @@ class ElementsWrapper
     return results;
   }
 
+  /**
+   * Iterate over every directly wrapped element.
+   * 
+   * Allows wrappers to be used in `for...of` loops, spread syntax, etc.
+   * Yields nothing if this instance is not valid.
+   * 
+   * @yields {Element}
+   */
+  *[Symbol.iterator]()
+  {
+    if (!this.isValid) return;
+
+    if (this.isCollection)
+    {
+      yield* this.wraps;
+    }
+    else
+    {
+      yield this.wraps;
+    }
+  }
+
+  /**
+   * The number of directly wrapped elements.
+   * 
+   * Will be `0` if this instance is not valid.
+   * 
+   * @type {number}
+   */
+  get length()
+  {
+    if (!this.isValid) return 0;
+    return this.isCollection ? this.wraps.length : 1;
+  }
+
+  /**
+   * An alias of `length`.
+   * @type {number}
+   */
+  get size()
+  {
+    return this.length;
+  }
+
+  /**
+   * Get an `Array` of the directly wrapped elements.
+   * 
+   * @returns {Element[]} Will be empty if this instance is not valid.
+   */
+  toArray()
+  {
+    return Array.from(nodesOf(this));
+  }
+
+  /**
+   * Get a wrapper for one of the directly wrapped elements.
+   * 
+   * @param {number} index - 0-based index of the element.
+   * 
+   * Negative numbers count backwards from the end, 
+   * so `-1` is the last element.
+   * 
+   * @returns {ElementsWrapper} A new wrapper; will not be valid
+   * if there was no element at the specified index.
+   */
+  eq(index)
+  {
+    if (typeof index !== N)
+    {
+      throw new TypeError("eq() index must be a number");
+    }
+    const length = this.length;
+    if (index < 0) index += length;
+    const node = (index < 0 || index >= length) ? null
+      : (this.isCollection ? this.wraps[index] : this.wraps);
+    return this._make(node ?? []);
+  }
+
+  /**
+   * Get a wrapper for a subset of the directly wrapped elements.
+   * 
+   * Uses the same arguments as `Array.prototype.slice()`.
+   * 
+   * @param {number} [start] - Start index (negative counts from end).
+   * @param {number} [end]   - End index (not included in the subset).
+   * @returns {ElementsWrapper}
+   */
+  slice(start, end)
+  {
+    return this._make(AP.slice.call(nodesOf(this), start, end));
+  }
+
+  /**
+   * Reduce the wrapped elements to the ones that pass a test.
+   * 
+   * @param {(EachCallback|NodeTest)} test - The test to pass.
+   * 
+   * If this is a `function` it is an `EachCallback` which must return
+   * a `boolean` indicating if the element passed the test.
+   * 
+   * Any other value is a `NodeTest` as used by the traversal methods.
+   * 
+   * @returns {ElementsWrapper}
+   */
+  filter(test)
+  {
+    test = eachTest(test, this.env);
+    return this._make(AP.filter.call(nodesOf(this), 
+      (node, i) => test(node, i, this)));
+  }
+
+  /**
+   * Remove the wrapped elements that pass a test.
+   * 
+   * The opposite of `filter()`.
+   * 
+   * @param {(EachCallback|NodeTest)} test - See `filter()` for details.
+   * @returns {ElementsWrapper}
+   */
+  not(test)
+  {
+    test = eachTest(test, this.env);
+    return this._make(AP.filter.call(nodesOf(this), 
+      (node, i) => !test(node, i, this)));
+  }
+
+  /**
+   * See if at least one of the wrapped elements passes a test.
+   * 
+   * @param {(EachCallback|NodeTest)} test - See `filter()` for details.
+   * @returns {boolean}
+   */
+  is(test)
+  {
+    test = eachTest(test, this.env);
+    return AP.some.call(nodesOf(this), (node, i) => test(node, i, this));
+  }
+
+  /**
+   * Run a callback function for every directly wrapped element,
+   * and return the values from each call.
+   * 
+   * Unlike `each()` this returns the raw return values.
+   * 
+   * @param {EachCallback} fn - A callback function.
+   * @returns {Array} The return values from the callback.
+   */
+  map(fn)
+  {
+    if (typeof fn !== F)
+    {
+      throw new TypeError("Invalid function");
+    }
+    return Array.from(nodesOf(this), 
+      (node, i) => fn.call(node, i, node, this));
+  }
+
+  /**
+   * A callback function for the `reduce()` method.
+   * 
+   * @callback ReduceCallback
+   * @param {*} acc - The accumulated value.
+   * @param {Element} node - An individual wrapped element.
+   * @param {number} index - 0-based index of which wrapped element.
+   * @param {ElementsWrapper} wrapper - This wrapper instance.
+   * @this {Element} Same element as `node` argument.
+   * @returns {*} The new accumulated value.
+   */
+
+  /**
+   * Reduce the wrapped elements to a single value.
+   * 
+   * @param {ReduceCallback} fn - A callback function.
+   * @param {*} [initial] The initial value.
+   * 
+   * Unlike `Array.prototype.reduce()` this is not optional,
+   * if it is not specified, `undefined` will be the initial value.
+   * 
+   * @returns {*} The final accumulated value.
+   */
+  reduce(fn, initial)
+  {
+    if (typeof fn !== F)
+    {
+      throw new TypeError("Invalid function");
+    }
+
+    let acc = initial;
+    const nodes = nodesOf(this);
+    for (let i=0; i < nodes.length; i++)
+    {
+      const node = nodes[i];
+      acc = fn.call(node, acc, node, i, this);
+    }
+    return acc;
+  }
+
+  /**
+   * Elements, collections, or wrappers used by the set methods.
+   * 
+   * May be an `Element` (or other `Node`), a collection of nodes
+   * (`Array`, `NodeList`, or `HTMLCollection`), or an `ElementsWrapper`.
+   * `null` or `undefined` are the same as an empty collection.
+   * 
+   * @typedef {(Node|Array|NodeList|HTMLCollection|ElementsWrapper)} NodeSet
+   */
+
+  /**
+   * Combine the wrapped elements with other elements.
+   * 
+   * @param {...NodeSet} others - The elements to add.
+   * @returns {ElementsWrapper} A new wrapper with all of the elements
+   * in document order; each will only be included once.
+   */
+  union(...others)
+  {
+    const nodes = Array.from(nodesOf(this));
+    for (const other of others)
+    {
+      nodes.push(...nodesFrom(other, this.env));
+    }
+    return this._make(documentOrder(nodes));
+  }
+
+  /**
+   * Get the wrapped elements that are also in another set.
+   * 
+   * @param {NodeSet} other - The elements to compare with.
+   * @returns {ElementsWrapper} A new wrapper with the elements in both
+   * sets, in document order; each will only be included once.
+   */
+  intersect(other)
+  {
+    const keep = new Set(nodesFrom(other, this.env));
+    const nodes = AP.filter.call(nodesOf(this), node => keep.has(node));
+    return this._make(documentOrder(nodes));
+  }
+
+  /**
+   * Get the wrapped elements that are not in another set.
+   * 
+   * @param {NodeSet} other - The elements to remove.
+   * @returns {ElementsWrapper} A new wrapper with the remaining elements
+   * in document order; each will only be included once.
+   */
+  difference(other)
+  {
+    const drop = new Set(nodesFrom(other, this.env));
+    const nodes = AP.filter.call(nodesOf(this), node => !drop.has(node));
+    return this._make(documentOrder(nodes));
+  }
+
+  /**
+   * See if elements are directly wrapped by this wrapper.
+   * 
+   * Unlike `Node.contains()` this does not look at descendants;
+   * use `find()` or `closest()` for that.
+   * 
+   * @param {NodeSet} node - The element(s) to look for.
+   * @returns {boolean} `true` if every one of the elements is wrapped;
+   * always `false` if there were no elements to look for.
+   */
+  contains(node)
+  {
+    const wanted = nodesFrom(node, this.env);
+    if (wanted.length === 0) return false;
+    const nodes = nodesOf(this);
+    return AP.every.call(wanted, want => AP.includes.call(nodes, want));
+  }
+
+  /**
+   * Get the position of an element in the directly wrapped elements.
+   * 
+   * @param {NodeSet} node - The element to look for; if this is a
+   * collection or wrapper, its first element is used.
+   * @returns {number} The 0-based index, or `-1` if it isn't wrapped.
+   */
+  index(node)
+  {
+    const [wanted] = nodesFrom(node, this.env);
+    return (wanted === undefined) 
+      ? -1 
+      : AP.indexOf.call(nodesOf(this), wanted);
+  }
+
+  /**
+   * Get a string representation of the wrapper.
+   * 
+   * @returns {string} The same as `outerHTML()`; so wrappers may be
+   * used directly in template literals, logs, and snapshots.
+   */
+  toString()
+  {
+    return this.outerHTML();
+  }
+
+  /**
+   * Get a representation of the wrapper for `JSON.stringify()`.
+   * 
+   * @returns {string[]} The `outerHTML` of each wrapped element
+   * (or the serialized children of each wrapped fragment.)
+   */
+  toJSON()
+  {
+    return Array.from(nodesOf(this), node => outerHTML(this, node));
+  }
+
   // Make an instance with the same options.
   _make(wrap, options)
   {
-    options = this.getOptions(options, true, false);
+    const cache = (this.options.cache 
+      && (options === undefined || options === null));
+
+    if (cache)
+    { // Share our options, so cached wrappers can be found again.
+      options = this.options;
+      if (wrap instanceof this.env.Element)
+      {
+        const cached = cachedWrapper(wrap, options, this.constructor);
+        if (cached) return cached;
+      }
+    }
+    else
+    {
+      options = this.getOptions(options, true, false);
+    }
+
     //console.debug("Wrapper._make()", {wrap, options});
-    return new this.constructor(wrap, options);
+    let made;
+    makingEnv = this.env;
+    try
+    {
+      made = new this.constructor(wrap, options);
+    }
+    finally
+    {
+      makingEnv = null;
+    }
+
+    if (cache && !made.isCollection && made.isValid)
+    {
+      cacheWrapper(made.wraps, options, made);
+    }
+
+    for (const plugin of pluginsOf(this.constructor))
+    {
+      if (typeof plugin.make === F)
+      {
+        plugin.make.call(this, made);
+      }
+    }
+
+    return made;
   }
 
 }
@@ -0,0 +1,72 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+const HTML = `<style>.cls { display: none; }</style>
+<div id="a">a</div><div id="b" class="cls">b</div><p hidden>c</p>`;
+
+function setup()
+{
+  const {window, document} = dom(HTML, false);
+  const all = new Wrapper(document.querySelectorAll('div, p'));
+  const display = () => Array.from(all.wraps, node => node.style.display);
+  return {window, document, all, display};
+}
+
+test('hide(), show() and toggle() resolve without transitions', async () =>
+{
+  const {all, display} = setup();
+
+  assert.strictEqual(await all.hide(), all);
+  assert.deepStrictEqual(display(), ['none', 'none', 'none']);
+
+  await all.show();
+  assert.deepStrictEqual(display(), ['', 'block', '']);
+  assert.strictEqual(all.wraps[2].hidden, false);
+
+  await all.toggle();
+  assert.deepStrictEqual(display(), ['none', 'none', 'none']);
+  await all.toggle(true);
+  assert.deepStrictEqual(display(), ['', 'block', '']);
+});
+
+test('fade and slide methods resolve without animation support', async () =>
+{
+  const {all, display} = setup();
+
+  await all.show();
+  await all.fadeOut();
+  assert.deepStrictEqual(display(), ['none', 'none', 'none']);
+  await all.slideDown({duration: 10});
+  assert.deepStrictEqual(display(), ['', 'block', '']);
+});
+
+test('a class may be used to show and hide', async () =>
+{
+  const {document} = setup();
+  const elem = new Wrapper(document.getElementById('a'));
+
+  await elem.show({class: 'open'});
+  assert.strictEqual(elem.wraps.className, 'open');
+
+  await elem.hide({class: 'open'});
+  assert.strictEqual(elem.wraps.className, '');
+  assert.strictEqual(elem.wraps.style.display, 'none');
+});
+
+test('nodes that are not elements are skipped', async () =>
+{
+  const {window, document} = setup();
+  const text = document.createTextNode('text');
+  const div = document.getElementById('a');
+  const nodes = new Wrapper([text, div], {nodeClass: window.Node});
+
+  assert.strictEqual(await nodes.hide(), nodes);
+  assert.strictEqual(div.style.display, 'none');
+  await nodes.show();
+  assert.strictEqual(div.style.display, '');
+});
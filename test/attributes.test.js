@@ -0,0 +1,62 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+function setup()
+{
+  dom();
+  const wrapper = new Wrapper('<div><p class="a">x</p><p>y</p></div>');
+  return {wrapper, paras: wrapper.find('p')};
+}
+
+test('attr() gets from the first element and sets on all', () =>
+{
+  const {paras} = setup();
+
+  paras.attr('title', (i, current) => `p${i}:${current}`);
+  assert.strictEqual(paras.attr('title'), 'p0:null');
+  assert.deepStrictEqual(Array.from(paras.wraps, p => p.title),
+    ['p0:null', 'p1:null']);
+
+  paras.attr({'data-x': 1, hidden: true});
+  assert.deepStrictEqual(paras.attr(),
+    {class: 'a', title: 'p0:null', 'data-x': '1', hidden: ''});
+  assert.strictEqual(paras.wraps[1].hasAttribute('hidden'), true);
+
+  paras.attr('hidden', false);
+  assert.strictEqual(paras.wraps[1].hasAttribute('hidden'), false);
+});
+
+test('removeAttr() removes a list of attributes', () =>
+{
+  const {paras} = setup();
+
+  paras.attr({title: 't', 'data-x': 1, lang: 'en'});
+  paras.removeAttr('title data-x');
+  assert.deepStrictEqual(Array.from(paras.wraps, p => p.getAttributeNames()),
+    [['class', 'lang'], ['lang']]);
+});
+
+test('prop() gets and sets properties', () =>
+{
+  const {paras} = setup();
+
+  assert.strictEqual(paras.prop('tagName'), 'P');
+  paras.prop('textContent', (i, current) => current + i);
+  assert.deepStrictEqual(Array.from(paras.wraps, p => p.textContent),
+    ['x0', 'y1']);
+});
+
+test('aria() uses the aria- attributes', () =>
+{
+  const {paras} = setup();
+
+  paras.aria({expanded: false, describedby: ['a', 'b']});
+  assert.strictEqual(paras.wraps[1].getAttribute('aria-expanded'), 'false');
+  assert.strictEqual(paras.aria('describedby'), 'a b');
+  assert.deepStrictEqual(paras.aria(), {expanded: 'false', describedby: 'a b'});
+});
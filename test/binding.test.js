@@ -0,0 +1,57 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const {bind, setPath} = require('../lib/binding');
+
+test('update() re-renders the changed bindings', () =>
+{
+  const {document} = dom('<p id="p">{{ user.name }} / {{ count }}</p>', false);
+  const p = document.getElementById('p');
+  const binding = bind(p, {user: {name: 'Bob', age: 1}, count: 1});
+  assert.strictEqual(p.textContent, 'Bob / 1');
+
+  binding.update({user: {name: 'Tim'}});
+  assert.strictEqual(p.textContent, 'Tim / 1');
+  assert.deepStrictEqual(binding.model, {user: {name: 'Tim', age: 1}, count: 1});
+});
+
+test('update() ignores prototype keys', () =>
+{
+  const {document} = dom('<p id="p">{{ a }}</p>', false);
+  const binding = bind(document.getElementById('p'), {a: 1});
+
+  binding.update(JSON.parse('{"__proto__":{"polluted":1},"a":2}'));
+  binding.update({constructor: {prototype: {polluted: 1}}});
+
+  assert.strictEqual(({}).polluted, undefined);
+  assert.strictEqual(binding.model.a, 2);
+  assert.strictEqual(Object.hasOwn(binding.model, 'constructor'), false);
+});
+
+test('update() only merges into own properties', () =>
+{
+  const {document} = dom('<p id="p">{{ a }}</p>', false);
+  const model = Object.create({inherited: {x: 1}});
+  model.a = 1;
+  const binding = bind(document.getElementById('p'), model);
+
+  binding.update({inherited: {y: 2}});
+  assert.deepStrictEqual(model.inherited, {y: 2});
+  assert.deepStrictEqual(Object.getPrototypeOf(model).inherited, {x: 1});
+});
+
+test('setPath() creates objects and ignores prototype keys', () =>
+{
+  const model = {};
+  setPath(model, 'a.b.c', 1);
+  assert.deepStrictEqual(model, {a: {b: {c: 1}}});
+
+  setPath(model, '__proto__.polluted', 1);
+  setPath(model, 'constructor.prototype.polluted', 1);
+  setPath(model, 'a.__proto__', {polluted: 1});
+  assert.strictEqual(({}).polluted, undefined);
+  assert.deepStrictEqual(model, {a: {b: {c: 1}}});
+});
@@ -0,0 +1,41 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+const LIST = `<ul id="list">
+  <li class="a">1</li><li class="a">2</li><li class="a">3</li>
+</ul>`;
+
+test('the same wrapper is returned for an element with cache', () =>
+{
+  const {document} = dom(LIST, false);
+  const list = new Wrapper(document.getElementById('list'), {cache: true});
+
+  const first = list.first;
+  assert.strictEqual(list.get('li'), first);
+  assert.strictEqual(list.wrappedChildren[0], first);
+
+  const uncached = new Wrapper(document.getElementById('list'));
+  assert.notStrictEqual(uncached.first, uncached.first);
+});
+
+test('live collections can be changed while iterating', () =>
+{
+  const {document} = dom(LIST, false);
+  const list = document.getElementById('list');
+
+  const byClass = new Wrapper(document.getElementsByClassName('a'));
+  assert.strictEqual(byClass.index(list.children[2]), 2);
+  assert.strictEqual(byClass.hasClass('a', 'all'), true);
+  byClass.removeClass('a');
+  assert.strictEqual(list.querySelectorAll('.a').length, 0);
+
+  const children = new Wrapper(list).children;
+  assert.strictEqual(children.length, 3);
+  children.remove();
+  assert.strictEqual(list.children.length, 0);
+});
@@ -0,0 +1,60 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+function setup()
+{
+  dom();
+  const wrapper = new Wrapper('<div><p class="a">x</p><p>y</p></div>');
+  const paras = wrapper.find('p');
+  const classes = () => Array.from(paras.wraps, p => p.className);
+  return {paras, classes};
+}
+
+test('addClass() and removeClass() apply to every element', () =>
+{
+  const {paras, classes} = setup();
+
+  paras.addClass('b c').addClass(i => ['i' + i]);
+  assert.deepStrictEqual(classes(), ['a b c i0', 'b c i1']);
+
+  paras.removeClass(['b', 'i0']);
+  assert.deepStrictEqual(classes(), ['a c', 'c i1']);
+
+  paras.removeClass();
+  assert.deepStrictEqual(classes(), ['', '']);
+});
+
+test('toggleClass() toggles each element, or forces a state', () =>
+{
+  const {paras, classes} = setup();
+
+  paras.toggleClass('a');
+  assert.deepStrictEqual(classes(), ['', 'a']);
+
+  paras.toggleClass('z', true).toggleClass('z', true);
+  assert.deepStrictEqual(classes(), ['z', 'a z']);
+});
+
+test('hasClass() checks any or all elements', () =>
+{
+  const {paras} = setup();
+
+  paras.addClass(i => 'i' + i);
+  assert.strictEqual(paras.hasClass('i0'), true);
+  assert.strictEqual(paras.hasClass('i0', 'all'), false);
+  assert.strictEqual(paras.hasClass('i2'), false);
+});
+
+test('replaceClass() replaces names where they exist', () =>
+{
+  const {paras, classes} = setup();
+
+  paras.addClass('b c');
+  paras.replaceClass('b', 'bb').replaceClass({c: 'cc', a: 'aa'});
+  assert.deepStrictEqual(classes(), ['aa bb cc', 'bb cc']);
+});
@@ -0,0 +1,64 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+function setup()
+{
+  dom();
+  const wrapper = new Wrapper(
+    '<ul><li>1</li><li class="x">2</li><li>3</li></ul>');
+  return {wrapper, items: wrapper.find('li')};
+}
+
+const text = node => node.textContent;
+
+test('wrappers are iterable, with a length', () =>
+{
+  const {wrapper, items} = setup();
+
+  assert.strictEqual(items.length, 3);
+  assert.deepStrictEqual([...items].map(text), ['1', '2', '3']);
+  assert.deepStrictEqual(items.toArray().map(text), ['1', '2', '3']);
+
+  assert.strictEqual(wrapper.length, 1);
+  assert.deepStrictEqual([...wrapper], [wrapper.wraps]);
+});
+
+test('eq() and slice() select by index', () =>
+{
+  const {items} = setup();
+
+  assert.strictEqual(items.eq(0).wraps.textContent, '1');
+  assert.strictEqual(items.eq(-1).wraps.textContent, '3');
+  assert.strictEqual(items.eq(5).isValid, false);
+  assert.deepStrictEqual(items.slice(1).toArray().map(text), ['2', '3']);
+});
+
+test('filter(), not() and is() test the elements', () =>
+{
+  const {items} = setup();
+
+  assert.strictEqual(items.filter('.x').wraps.textContent, '2');
+  assert.strictEqual(items.filter(i => i > 0).length, 2);
+  assert.strictEqual(items.not('.x').length, 2);
+  assert.strictEqual(items.is('.x'), true);
+  assert.strictEqual(items.is('.y'), false);
+});
+
+test('map(), reduce() and each() call a function for each element', () =>
+{
+  const {items} = setup();
+
+  assert.deepStrictEqual(items.map(function() { return this.textContent; }),
+    ['1', '2', '3']);
+  assert.strictEqual(items.reduce((acc, node) => acc + node.textContent, ''), 
+    '123');
+
+  const seen = [];
+  items.each((i, node) => seen.push(i + node.textContent));
+  assert.deepStrictEqual(seen, ['01', '12', '23']);
+});
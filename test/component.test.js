@@ -0,0 +1,182 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const {defineComponent} = require('../lib/component');
+const Wrapper = require('../lib/wrapper');
+
+const {window, document, options} = dom('', false);
+const log = [];
+
+const Counter = defineComponent('x-counter', 
+{
+  template: '<button class="inc">+</button><span class="out"></span>',
+  styles: ':host { display: block }',
+  props: 
+  {
+    count: 0, 
+    label: String, 
+    open: Boolean, 
+    maxItems: {type: Number, default: 10}, 
+    data: Object,
+  },
+  events: 
+  {
+    'click .inc': function() { this.count++; },
+    ping: function() { log.push('ping'); },
+  },
+  connected(wrapper) 
+  { 
+    log.push(['connected', wrapper === this.wrapper]); 
+  },
+  disconnected() { log.push('disconnected'); },
+  changed(name, value, old) { log.push([name, old, value]); },
+}, options);
+
+function counter()
+{
+  log.length = 0;
+  const elem = document.createElement('x-counter');
+  document.body.append(elem);
+  return elem;
+}
+
+test('the element has the template and default props', () =>
+{
+  const elem = document.createElement('x-counter');
+  assert.ok(elem instanceof Counter);
+  assert.deepStrictEqual(Counter.observedAttributes, 
+    ['count', 'label', 'open', 'max-items', 'data']);
+
+  assert.strictEqual(elem.shadowRoot.innerHTML, 
+    '<style>:host { display: block }</style>'
+    + '<button class="inc">+</button><span class="out"></span>');
+
+  assert.strictEqual(elem.count, 0);
+  assert.strictEqual(elem.label, null);
+  assert.strictEqual(elem.open, false);
+  assert.strictEqual(elem.maxItems, 10);
+  assert.strictEqual(elem.data, null);
+});
+
+test('props are reflected to attributes', () =>
+{
+  const elem = counter();
+
+  elem.count = 3;
+  assert.strictEqual(elem.getAttribute('count'), '3');
+  elem.open = true;
+  assert.strictEqual(elem.getAttribute('open'), '');
+  elem.label = 'Count';
+  assert.strictEqual(elem.getAttribute('label'), 'Count');
+
+  // Object and Array props aren't reflected by default.
+  elem.data = {b: 2};
+  assert.strictEqual(elem.hasAttribute('data'), false);
+  elem.open = false;
+  assert.strictEqual(elem.hasAttribute('open'), false);
+
+  assert.deepStrictEqual(log.slice(1), 
+  [
+    ['count', 0, 3], 
+    ['open', false, true], 
+    ['label', null, 'Count'], 
+    ['data', null, {b: 2}], 
+    ['open', true, false],
+  ]);
+});
+
+test('attributes are converted to props', () =>
+{
+  const elem = counter();
+
+  elem.setAttribute('max-items', '42');
+  assert.strictEqual(elem.maxItems, 42);
+  elem.setAttribute('data', '{"a":1}');
+  assert.deepStrictEqual(elem.data, {a: 1});
+  elem.setAttribute('open', '');
+  assert.strictEqual(elem.open, true);
+  elem.removeAttribute('open');
+  assert.strictEqual(elem.open, false);
+});
+
+test('events are added on connect and removed on disconnect', () =>
+{
+  const elem = counter();
+  const button = elem.shadowRoot.querySelector('.inc');
+  const ping = () => elem.shadowRoot.dispatchEvent(new window.Event('ping'));
+
+  assert.deepStrictEqual(log, [['connected', true]]);
+  button.click();
+  ping();
+  assert.strictEqual(elem.count, 1);
+
+  elem.remove();
+  button.click();
+  ping();
+  assert.strictEqual(elem.count, 1);
+
+  document.body.append(elem);
+  button.click();
+  assert.strictEqual(elem.count, 2);
+
+  assert.deepStrictEqual(log, 
+  [
+    ['connected', true], 
+    ['count', 0, 1], 
+    'ping', 
+    'disconnected', 
+    ['connected', true], 
+    ['count', 1, 2],
+  ]);
+});
+
+test('the wrapper property wraps the root', () =>
+{
+  const elem = counter();
+
+  assert.ok(elem.wrapper instanceof Wrapper);
+  assert.strictEqual(elem.wrapper.wraps, elem.shadowRoot);
+  assert.strictEqual(elem.wrapper, elem.wrapper);
+  assert.strictEqual(elem.wrapper.get('.out').isValid, true);
+});
+
+test('light DOM components use the element as the root', () =>
+{
+  const template = document.createElement('template');
+  template.innerHTML = '<i>light</i>';
+  let clicks = 0;
+
+  defineComponent('x-light', 
+  {
+    shadow: false, 
+    template, 
+    events: {click: () => clicks++},
+  }, options);
+
+  const elem = document.createElement('x-light');
+  assert.strictEqual(elem.shadowRoot, null);
+  assert.strictEqual(elem.wrapper.wraps, elem);
+
+  // The template is added when it's first connected.
+  assert.strictEqual(elem.innerHTML, '');
+  document.body.append(elem);
+  assert.strictEqual(elem.innerHTML, '<i>light</i>');
+
+  elem.click();
+  elem.remove();
+  document.body.append(elem);
+  assert.strictEqual(elem.innerHTML, '<i>light</i>');
+  assert.strictEqual(clicks, 1);
+});
+
+test('invalid definitions are rejected', (t) =>
+{
+  t.mock.method(console, 'error', () => {});
+
+  assert.throws(() => defineComponent('nodash', {}, options), TypeError);
+  assert.throws(() => defineComponent('x-counter', {}, options), TypeError);
+  assert.throws(() => defineComponent('x-y', null, options), TypeError);
+});
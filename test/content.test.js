@@ -0,0 +1,68 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+function setup()
+{
+  const {options} = dom('', false);
+  const wrapper = new Wrapper(
+    '<ul><li class="a">1</li><li>2 <b>x</b></li></ul>', options);
+  return {options, wrapper, items: wrapper.find('li')};
+}
+
+test('html(), text() and outerHTML() join every element', () =>
+{
+  const {wrapper, items} = setup();
+
+  assert.strictEqual(items.html(), '12 <b>x</b>');
+  assert.strictEqual(items.text(), '12 x');
+  assert.strictEqual(wrapper.text(), '12 x');
+  assert.strictEqual(items.outerHTML(), 
+    '<li class="a">1</li><li>2 <b>x</b></li>');
+  assert.strictEqual(wrapper.find('p').html(), '');
+});
+
+test('html() and text() set the content of every element', () =>
+{
+  const {wrapper, items} = setup();
+
+  let calls = 0;
+  new Wrapper(wrapper.wraps.querySelector('b')).on('custom', () => calls++);
+  const bold = wrapper.wraps.querySelector('b');
+
+  items.html((i, current) => `${current}!${i}`);
+  assert.strictEqual(wrapper.html(), 
+    '<li class="a">1!0</li><li>2 <b>x</b>!1</li>');
+
+  // The replaced nodes are cleaned up.
+  new Wrapper(bold).trigger('custom');
+  assert.strictEqual(calls, 0);
+
+  items.text('<i>');
+  assert.strictEqual(wrapper.html(), 
+    '<li class="a">&lt;i&gt;</li><li>&lt;i&gt;</li>');
+  assert.strictEqual(items.text(), '<i><i>');
+});
+
+test('html() uses the sanitize policy', () =>
+{
+  const {options} = setup();
+  const para = new Wrapper('<p>a</p>', {...options, sanitize: true});
+
+  para.html('<img src="x" onerror="alert(1)">');
+  assert.strictEqual(para.html(), '<img src="x">');
+});
+
+test('wrappers serialize as their HTML', () =>
+{
+  const {options, items} = setup();
+
+  assert.strictEqual(`${items.eq(0)}`, '<li class="a">1</li>');
+  assert.strictEqual(JSON.stringify({list: items}), 
+    '{"list":["<li class=\\"a\\">1</li>","<li>2 <b>x</b></li>"]}');
+  assert.strictEqual(String(new Wrapper('<x></x>', options).find('zz')), '');
+});
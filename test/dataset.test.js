@@ -0,0 +1,113 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+const HTML = `<div id="d">
+  <p data-count="5" data-on="true" data-off="false" data-n="null"
+    data-price="1.50" data-list="[1,2]" data-obj='{"a":1}' data-bad="{oops"
+    data-user-id="x"></p>
+  <p data-count="7"></p>
+</div>`;
+
+function setup()
+{
+  const {document} = dom(HTML, false);
+  const wrapper = new Wrapper(document.getElementById('d'));
+  const events = [];
+  wrapper.on('datachange', ev => events.push(ev.detail));
+  return {wrapper, paras: wrapper.find('p'), events};
+}
+
+test('attribute values are converted', () =>
+{
+  const {paras} = setup();
+
+  assert.deepStrictEqual(paras.dataset(),
+  {
+    count: 5, on: true, off: false, n: null, price: '1.50',
+    list: [1, 2], obj: {a: 1}, bad: '{oops', userId: 'x',
+  });
+
+  assert.strictEqual(paras.dataset('count'), 5);
+  assert.strictEqual(paras.dataset('data-user-id'), 'x');
+  assert.strictEqual(paras.dataset('userId'), 'x');
+  assert.strictEqual(paras.dataset('missing'), undefined);
+});
+
+test('private values are used first, and keep their type', () =>
+{
+  const {paras, events} = setup();
+
+  paras.dataset('count', 9);
+  assert.strictEqual(paras.dataset('count'), 9);
+  assert.strictEqual(paras.eq(1).dataset('count'), 9);
+  assert.strictEqual(paras.attr('data-count'), '5');
+
+  const map = new Map();
+  paras.dataset({secret: map, text: '123'}, {events: false});
+  assert.strictEqual(paras.dataset('secret'), map);
+  assert.strictEqual(paras.dataset('text'), '123');
+  assert.strictEqual(paras.attr('data-secret'), null);
+
+  assert.deepStrictEqual(events, 
+  [
+    {key: 'count', value: 9, old: 5},
+    {key: 'count', value: 9, old: 7},
+  ]);
+});
+
+test('values may be written to the attributes', () =>
+{
+  const {paras, events} = setup();
+
+  paras.dataset('count', (i, current) => current + i, {attribute: true});
+  assert.deepStrictEqual(paras.map(function() { return this.dataset.count; }),
+    ['5', '8']);
+
+  paras.dataset({obj: {b: 2}, flag: true}, {attribute: true});
+  assert.strictEqual(paras.attr('data-obj'), '{"b":2}');
+  assert.deepStrictEqual(paras.dataset('obj'), {b: 2});
+  assert.strictEqual(paras.dataset('flag'), true);
+
+  paras.dataset('flag', undefined, {attribute: true});
+  assert.strictEqual(paras.attr('data-flag'), null);
+  assert.strictEqual(paras.dataset('flag'), undefined);
+
+  assert.deepStrictEqual(events.map(detail => detail.key), 
+    ['count', 'obj', 'obj', 'flag', 'flag', 'flag', 'flag']);
+});
+
+test('strings written to the attributes stay strings', () =>
+{
+  const {paras} = setup();
+
+  paras.dataset('n', '123', {attribute: true});
+  assert.strictEqual(paras.attr('data-n'), '123');
+  assert.strictEqual(paras.dataset('n'), '123');
+  assert.strictEqual(paras.dataset().n, '123');
+
+  // Once the attribute is changed by something else, it's converted.
+  paras.attr('data-n', '42');
+  assert.strictEqual(paras.dataset('n'), 42);
+});
+
+test('unchanged values do not trigger events', () =>
+{
+  const {paras, events} = setup();
+
+  paras.dataset('count', 9);
+  paras.dataset('count', 9);
+  paras.eq(0).dataset('obj', {a: 1}, {attribute: true});
+  assert.strictEqual(events.length, 2);
+});
+
+test('invalid keys are rejected', () =>
+{
+  const {paras} = setup();
+  assert.throws(() => paras.dataset(5), TypeError);
+  assert.strictEqual(paras.find('b').dataset(), null);
+});
@@ -0,0 +1,44 @@
+/**
+ * A helper for the tests: builds a new jsdom document.
+ *
+ * Unless `globals` is `false`, the window, document, and DOM classes are
+ * also defined as globals (replacing those from any earlier call), as the
+ * modules use the global document unless they're given another one.
+ * Each test file runs in its own process, so they don't leak between files.
+ */
+"use strict";
+
+const {JSDOM} = require('jsdom');
+
+const GLOBALS =
+[
+  'window', 'document', 'Node', 'Element', 'HTMLElement', 'Document',
+  'DocumentFragment', 'ShadowRoot', 'Text', 'NodeList', 'HTMLCollection',
+  'NodeFilter', 'DOMParser', 'XPathResult', 'EventTarget', 'Event',
+  'CustomEvent', 'MouseEvent', 'KeyboardEvent', 'FormData',
+  'MutationObserver', 'customElements', 'getComputedStyle',
+];
+
+function dom(html='', globals=true)
+{
+  const html5 = `<!DOCTYPE html><html><body>${html}</body></html>`;
+  const {window} = new JSDOM(html5);
+  const document = window.document;
+
+  if (globals)
+  {
+    for (const name of GLOBALS)
+    {
+      Object.defineProperty(globalThis, name,
+      {
+        value: window[name],
+        writable: true,
+        configurable: true,
+      });
+    }
+  }
+
+  return {window, document, options: {window, document}};
+}
+
+module.exports = dom;
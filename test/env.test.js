@@ -0,0 +1,113 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const E = require('../lib/env');
+const Wrapper = require('../lib/wrapper');
+
+const HTML = '<ul id="list"><li>1</li><li>2</li></ul>';
+
+test('no DOM globals are defined', () =>
+{
+  assert.strictEqual(globalThis.document, undefined);
+  assert.strictEqual(globalThis.Element, undefined);
+});
+
+test('getEnv() uses the classes from the document', () =>
+{
+  const {window, document} = dom(HTML, false);
+
+  const env = E.getEnv({document});
+  assert.strictEqual(env.document, document);
+  assert.strictEqual(env.window, window);
+  assert.strictEqual(env.Element, window.Element);
+  assert.strictEqual(env.isGlobal, false);
+  assert.strictEqual(E.getEnv({window}), env);
+});
+
+test('the document of the wrapped nodes is used by default', () =>
+{
+  const {document} = dom(HTML, false);
+  const list = document.getElementById('list');
+
+  const wrapper = new Wrapper(list);
+  assert.strictEqual(wrapper.isValid, true);
+  assert.strictEqual(wrapper.env.document, document);
+  assert.strictEqual(wrapper.find('li').length, 2);
+  assert.strictEqual(wrapper.get('li').wraps.textContent, '1');
+
+  const items = new Wrapper(list.querySelectorAll('li'));
+  assert.strictEqual(items.isCollection, true);
+  assert.strictEqual(items.env.document, document);
+
+  // Wrappers with nothing in them use the environment they came from.
+  const none = wrapper.find('p');
+  assert.strictEqual(none.isValid, false);
+  assert.strictEqual(none.env.document, document);
+  assert.strictEqual(items.eq(5).env.document, document);
+
+  wrapper.add('<li>3</li>');
+  assert.strictEqual(list.children.length, 3);
+});
+
+test('documents and wrappers use their own environment', () =>
+{
+  const {window, document} = dom(HTML, false);
+  const env = E.getEnv({document});
+
+  const doc = new Wrapper(document, {nodeClass: window.Node});
+  assert.strictEqual(doc.env, env);
+  assert.strictEqual(doc.isValid, true);
+  assert.strictEqual(doc.find('li').length, 2);
+
+  const wrapped = new Wrapper(new Wrapper(document.body));
+  assert.strictEqual(wrapped.env, env);
+});
+
+test('strings are parsed with the document from the options', () =>
+{
+  const {document, options} = dom('', false);
+
+  const wrapper = new Wrapper('<p class="a">one</p>', options);
+  assert.strictEqual(wrapper.wraps.ownerDocument, document);
+  assert.strictEqual(new Wrapper('section', options).wraps.tagName, 'SECTION');
+});
+
+test('query() details work with any document', () =>
+{
+  const {document} = dom(HTML, false);
+  const list = document.getElementById('list');
+
+  const wrapper = new Wrapper(list, {queryDetails: true});
+  const found = wrapper.query('li');
+  assert.strictEqual(found.length, 2);
+
+  const [details] = found.$findWith;
+  assert.ok(details instanceof E.FindResult);
+  assert.strictEqual(details.length, 2);
+  assert.strictEqual(details.first.textContent, '1');
+  assert.strictEqual(details.last.textContent, '2');
+  assert.strictEqual(details.options.node, list);
+  assert.deepStrictEqual(details.options.selectors, ['li']);
+
+  const none = E.findWith(E.getEnv({document}), list, 'p');
+  assert.strictEqual(none.length, 0);
+  assert.strictEqual(none.first, null);
+});
+
+test('events are triggered with the classes from the document', () =>
+{
+  const {document, window} = dom(HTML, false);
+  const wrapper = new Wrapper(document.getElementById('list'));
+
+  let detail;
+  wrapper.on('custom', ev => 
+  {
+    assert.ok(ev instanceof window.CustomEvent);
+    detail = ev.detail;
+  });
+  wrapper.trigger('custom', {detail: 42});
+  assert.strictEqual(detail, 42);
+});
@@ -0,0 +1,66 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+function setup()
+{
+  const {document} = dom('<div id="d"><ul>'
+    + '<li>1</li><li class="x"><b>2</b></li><li>3</li></ul></div>');
+  const wrapper = new Wrapper(document.getElementById('d'));
+  return {wrapper, list: wrapper.get('ul'), items: wrapper.find('li')};
+}
+
+test('on() with a selector delegates the event', () =>
+{
+  const {wrapper, list} = setup();
+  const log = [];
+
+  list.on('click', 'li', function() { log.push(this.textContent); });
+  wrapper.get('b').wraps.click();
+  list.wraps.click();
+  assert.deepStrictEqual(log, ['2']);
+});
+
+test('once() handlers are only called once', () =>
+{
+  const {list} = setup();
+  let calls = 0;
+
+  list.once('click', () => calls++);
+  list.wraps.click();
+  list.wraps.click();
+  assert.strictEqual(calls, 1);
+});
+
+test('off() by namespace, event, or handler', () =>
+{
+  const {wrapper, list, items} = setup();
+  const log = [];
+  const handler = ev => log.push(ev.type);
+  const first = items.wraps[0];
+
+  list.on('click.menu', 'li', () => log.push('menu'));
+  items.on('click.a.b mouseover', handler);
+
+  first.click();
+  assert.deepStrictEqual(log.splice(0), ['click', 'menu']);
+
+  list.off('.menu');
+  items.off('click.b');
+  first.click();
+  assert.deepStrictEqual(log.splice(0), []);
+
+  first.dispatchEvent(new window.Event('mouseover'));
+  assert.deepStrictEqual(log.splice(0), ['mouseover']);
+
+  items.off(handler);
+  first.dispatchEvent(new window.Event('mouseover'));
+  assert.deepStrictEqual(log, []);
+
+  // Removing handlers that are gone already does nothing.
+  wrapper.find('li').off();
+});
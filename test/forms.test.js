@@ -0,0 +1,90 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const forms = require('../lib/forms');
+
+const FORM = `<form id="f">
+  <input name="user.name" value="Bob">
+  <input name="user[age]" value="42">
+  <input type="checkbox" name="tags[]" value="a" checked>
+  <input type="checkbox" name="tags[]" value="b">
+  <input type="checkbox" name="tags[]" value="c" checked>
+  <input type="radio" name="size" value="s">
+  <input type="radio" name="size" value="m" checked>
+  <select name="colors" multiple>
+    <option selected>red</option><option>green</option><option selected>blue</option>
+  </select>
+  <input name="items[0][title]" value="first">
+  <input name="off" value="x" disabled>
+  <button name="go" value="1">Go</button>
+</form>`;
+
+test('serialize() builds a nested object', () =>
+{
+  const {document} = dom(FORM);
+  const form = document.getElementById('f');
+
+  assert.deepStrictEqual(forms.serialize(form),
+  {
+    user: {name: 'Bob', age: '42'},
+    tags: ['a', 'c'],
+    size: 'm',
+    colors: ['red', 'blue'],
+    items: [{title: 'first'}],
+  });
+
+  const params = forms.serialize(form, {format: forms.FORMATS.PARAMS});
+  assert.strictEqual(params.get('user[age]'), '42');
+  assert.deepStrictEqual(params.getAll('tags[]'), ['a', 'c']);
+
+  assert.throws(() => forms.serialize(form, {format: 'nope'}), TypeError);
+});
+
+test('serialize() skips prototype keys in names', () =>
+{
+  const {document} = dom(`<form id="f">
+    <input name="__proto__[polluted]" value="x">
+    <input name="a.__proto__.polluted" value="x">
+    <input name="constructor[prototype][polluted]" value="x">
+    <input name="constructor" value="x">
+    <input name="ok" value="y">
+  </form>`);
+
+  const output = forms.serialize(document.getElementById('f'));
+  assert.strictEqual(({}).polluted, undefined);
+  assert.deepStrictEqual(output, {ok: 'y'});
+});
+
+test('toObject() converts repeated names into arrays', () =>
+{
+  assert.deepStrictEqual(forms.toObject([['a', '1'], ['a', '2'], ['b', '3']]),
+    {a: ['1', '2'], b: '3'});
+  assert.deepStrictEqual(forms.toObject([['toString', '1']]),
+    {toString: '1'});
+});
+
+test('populate() sets values from an object', () =>
+{
+  const {document} = dom(FORM);
+  const form = document.getElementById('f');
+
+  forms.populate(form,
+  {
+    user: {name: 'Tim'},
+    tags: ['b'],
+    size: 's',
+    colors: ['green'],
+  });
+
+  assert.deepStrictEqual(forms.serialize(form),
+  {
+    user: {name: 'Tim', age: '42'},
+    tags: ['b'],
+    size: 's',
+    colors: ['green'],
+    items: [{title: 'first'}],
+  });
+});
@@ -0,0 +1,65 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const {morph} = require('../lib/morph');
+
+test('morph() updates nodes in place', () =>
+{
+  const {document} = dom(
+    '<div id="t"><p class="a">one</p><span id="s">x</span></div>', false);
+  const target = document.getElementById('t');
+  const p = target.querySelector('p');
+  const span = document.getElementById('s');
+
+  morph(target, '<span id="s">y</span><p class="b">two</p>');
+
+  assert.strictEqual(target.innerHTML, '<span id="s">y</span><p class="b">two</p>');
+  assert.strictEqual(target.querySelector('#s'), span);
+  assert.strictEqual(target.querySelector('p'), p);
+});
+
+test('morph() keeps values entered by the user', () =>
+{
+  const html = '<input id="i" value="a"><textarea id="ta">b</textarea>';
+  const {document} = dom(`<div id="t">${html}</div>`, false);
+  const target = document.getElementById('t');
+  const input = document.getElementById('i');
+  const textarea = document.getElementById('ta');
+
+  input.value = 'typed';
+  textarea.value = 'typed';
+  morph(target, html);
+  assert.strictEqual(input.value, 'typed');
+  assert.strictEqual(textarea.value, 'typed');
+
+  morph(target, '<input id="i" value="c"><textarea id="ta">d</textarea>');
+  assert.strictEqual(input.value, 'c');
+  assert.strictEqual(textarea.value, 'd');
+});
+
+test('morph() keeps checked states set by the user', () =>
+{
+  const html = '<input type="checkbox" id="c"><input type="radio" id="r" checked>';
+  const {document} = dom(`<div id="t">${html}</div>`, false);
+  const target = document.getElementById('t');
+  const checkbox = document.getElementById('c');
+  const radio = document.getElementById('r');
+
+  checkbox.checked = true;
+  radio.checked = false;
+  morph(target, html);
+  assert.strictEqual(checkbox.checked, true);
+  assert.strictEqual(radio.checked, false);
+
+  morph(target, '<input type="checkbox" id="c" checked><input type="radio" id="r">');
+  morph(target, '<input type="checkbox" id="c"><input type="radio" id="r">');
+  assert.strictEqual(checkbox.checked, false);
+  assert.strictEqual(radio.checked, false);
+
+  morph(target, '<input type="checkbox" id="c"><input type="radio" id="r" checked>');
+  assert.strictEqual(checkbox.checked, false);
+  assert.strictEqual(radio.checked, true);
+});
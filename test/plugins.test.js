@@ -0,0 +1,112 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+const {options} = dom('', false);
+
+const shouting =
+{
+  name: 'shouting',
+  methods:
+  {
+    shout() { return this.text().toUpperCase(); },
+  },
+  getters:
+  {
+    tag() { return this.wraps.tagName; },
+  },
+  options: {loud: true},
+};
+
+test('extend() adds methods, getters, and options', () =>
+{
+  class Sub extends Wrapper {}
+  Sub.extend(shouting);
+
+  const para = new Sub('<p>hi <b>x</b></p>', options);
+  assert.strictEqual(para.shout(), 'HI X');
+  assert.strictEqual(para.tag, 'P');
+  assert.strictEqual(para.getOptions().loud, true);
+
+  // Wrappers made from it use the same class.
+  const bold = para.find('b');
+  assert.ok(bold instanceof Sub);
+  assert.strictEqual(bold.shout(), 'X');
+
+  // The parent class is left alone.
+  assert.strictEqual(new Wrapper('<p>x</p>', options).shout, undefined);
+});
+
+test('init and make hooks are called', () =>
+{
+  class Sub extends Wrapper {}
+  const calls = [];
+  Sub.extend(
+  {
+    init(opts) { calls.push(['init', opts === options]); },
+    make(made) { calls.push(['make', made instanceof Sub]); },
+  });
+
+  const para = new Sub('<p><b>x</b></p>', options);
+  para.find('b');
+  assert.deepStrictEqual(calls, 
+    [['init', true], ['init', false], ['make', true]]);
+});
+
+test('extend() rejects conflicts unless overriding', (t) =>
+{
+  t.mock.method(console, 'error', () => {});
+
+  class Sub extends Wrapper {}
+  Sub.extend(shouting);
+
+  const conflicts =
+  [
+    {methods: {shout() {}}},
+    {methods: {addClass() {}}},
+    {getters: {tag() {}}},
+    {options: {loud: false}},
+    {methods: {notAFunction: 42}},
+  ];
+  for (const plugin of conflicts)
+  {
+    assert.throws(() => Sub.extend(plugin), TypeError);
+  }
+
+  Sub.extend({override: true, methods: {shout() { return 'over'; }}});
+  assert.strictEqual(new Sub('<p>x</p>', options).shout(), 'over');
+});
+
+test('use() only uses a plugin once', () =>
+{
+  class Sub extends Wrapper {}
+  let calls = 0;
+  const plugin = (cls, suffix) =>
+  {
+    calls++;
+    cls.extend({methods: {hello() { return 'hi' + suffix; }}});
+  };
+
+  Sub.use(plugin, '!').use(plugin, '?').use(shouting).use(shouting);
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(new Sub('<p>x</p>', options).hello(), 'hi!');
+});
+
+test('use() skips plugins used by a parent class', () =>
+{
+  class Base extends Wrapper {}
+  Base.use(shouting);
+
+  class Sub extends Base {}
+  assert.strictEqual(Sub.use(shouting), Sub);
+  assert.strictEqual(new Sub('<p>x</p>', options).shout(), 'X');
+
+  // Other plugins may still be added to the sub-class only.
+  Sub.extend({methods: {two() { return 2; }}});
+  assert.strictEqual(new Sub('<p>x</p>', options).two(), 2);
+  assert.strictEqual(new Base('<p>x</p>', options).two, undefined);
+});
@@ -0,0 +1,94 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+const HTML = `<div id="root">
+  <ul>
+    <li class="a" data-n="1">One</li>
+    <li class="a b" data-n="2">Two</li>
+    <li class="b">Three <span>four</span></li>
+  </ul>
+</div>`;
+
+function setup()
+{
+  const {document} = dom(HTML, false);
+  const root = document.getElementById('root');
+  return {document, root, wrapper: new Wrapper(root)};
+}
+
+test('find() with a selector', () =>
+{
+  const {wrapper} = setup();
+  assert.strictEqual(wrapper.find('li').length, 3);
+  assert.strictEqual(wrapper.find('li.b').length, 2);
+  assert.strictEqual(wrapper.get('li').wraps.textContent, 'One');
+});
+
+test('find() and get() with a criteria object', () =>
+{
+  const {wrapper} = setup();
+  const found = wrapper.find({tag: 'li', class: 'a'});
+  assert.deepStrictEqual(found.toArray().map(li => li.dataset.n), ['1', '2']);
+
+  const two = wrapper.get({attrs: {'data-n': /^2$/}});
+  assert.strictEqual(two.wraps.textContent, 'Two');
+
+  const noData = wrapper.find({tag: 'li', attrs: {'data-n': false}});
+  assert.strictEqual(noData.length, 1);
+  assert.strictEqual(wrapper.find({text: 'four'}).length, 3);
+});
+
+test('find() and get() with a RegExp', () =>
+{
+  const {wrapper} = setup();
+  const found = wrapper.find(/^t/i);
+  assert.deepStrictEqual(found.toArray().map(li => li.dataset.n), 
+    ['2', undefined]);
+  assert.strictEqual(wrapper.get(/four/).wraps.tagName, 'SPAN');
+});
+
+test('find() and get() with XPath', () =>
+{
+  const {wrapper} = setup();
+  assert.strictEqual(wrapper.find({xpath: './/li[@data-n]'}).length, 2);
+  assert.strictEqual(wrapper.get({xpath: './/span'}).wraps.textContent, 
+    'four');
+});
+
+test('unwrapped results and query details', () =>
+{
+  const {root, wrapper} = setup();
+
+  const raw = wrapper.find({tag: 'li'}, {wrapQueries: false});
+  assert.ok(Array.isArray(raw));
+  assert.strictEqual(raw.length, 3);
+  assert.strictEqual(wrapper.get(/nothing/, {wrapQueries: false}), null);
+  assert.strictEqual(wrapper.get(/nothing/).isValid, false);
+
+  const found = wrapper.find({class: 'b'}, {queryDetails: true});
+  assert.strictEqual(found.$queryOptions.queryDetails, true);
+  assert.strictEqual(found.$findWith.length, 1);
+  assert.strictEqual(found.$findWith[0].node, root);
+  assert.strictEqual(found.$findWith[0].found.length, 2);
+});
+
+test('find() and get() reject other object types', (t) =>
+{
+  t.mock.method(console, 'error', () => {});
+
+  const {document, root, wrapper} = setup();
+  const span = root.querySelector('span');
+  const invalid = [span, [span], new Wrapper(span, {document}), new Map()];
+
+  for (const query of invalid)
+  {
+    assert.throws(() => wrapper.find(query), TypeError);
+    assert.throws(() => wrapper.get(query), TypeError);
+  }
+  assert.throws(() => wrapper.find(42), TypeError);
+});
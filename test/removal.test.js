@@ -0,0 +1,70 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+function setup()
+{
+  dom();
+  const wrapper = new Wrapper(
+    '<div><ul><li>1</li><li class="x">2</li><li>3</li></ul></div>');
+  return {wrapper, list: wrapper.wraps.firstChild};
+}
+
+test('remove() cleans up events and data, detach() keeps them', () =>
+{
+  const {wrapper, list} = setup();
+  const [one, two] = list.children;
+
+  let clicks = 0;
+  const items = wrapper.find('li');
+  items.on('click', () => clicks++);
+  new Wrapper(one).data.set('a', 1);
+  new Wrapper(two).data.set('a', 2);
+
+  new Wrapper(one).remove();
+  new Wrapper(two).detach();
+  assert.strictEqual(list.children.length, 1);
+
+  one.click();
+  two.click();
+  assert.strictEqual(clicks, 1);
+  assert.strictEqual(new Wrapper(one).data.size, 0);
+  assert.strictEqual(new Wrapper(two).data.get('a'), 2);
+});
+
+test('replaceWith() replaces the elements', () =>
+{
+  const {wrapper, list} = setup();
+
+  wrapper.get('.x').replaceWith('<b>B</b><i>I</i>');
+  assert.strictEqual(list.innerHTML, '<li>1</li><b>B</b><i>I</i><li>3</li>');
+});
+
+test('wrapWith(), wrapInner() and unwrap()', () =>
+{
+  const {wrapper, list} = setup();
+
+  wrapper.find('li').wrapWith('<span class="s"><em></em></span>');
+  assert.strictEqual(list.querySelectorAll('span.s > em > li').length, 3);
+
+  wrapper.find('em').unwrap();
+  assert.strictEqual(list.innerHTML, 
+    '<em><li>1</li></em><em><li class="x">2</li></em><em><li>3</li></em>');
+
+  new Wrapper(list).wrapInner('section');
+  assert.strictEqual(list.children.length, 1);
+  assert.strictEqual(list.firstChild.tagName, 'SECTION');
+  assert.strictEqual(list.firstChild.children.length, 3);
+});
+
+test('empty() removes the content', () =>
+{
+  const {wrapper} = setup();
+
+  wrapper.empty();
+  assert.strictEqual(wrapper.wraps.innerHTML, '');
+});
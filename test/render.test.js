@@ -0,0 +1,80 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+const LIST = `<ul id="list"><li class="head">H</li>
+  <template><li><b></b></li></template>
+</ul>`;
+
+function setup()
+{
+  const {document} = dom(LIST, false);
+  const list = new Wrapper(document.getElementById('list'));
+  const rows = () => Array.from(list.wraps.querySelectorAll('li:not(.head)'));
+  const texts = () => rows().map(li => li.textContent);
+  return {document, list, rows, texts};
+}
+
+test('renderList() re-uses rows by key', () =>
+{
+  const {list, rows, texts} = setup();
+  const calls = [];
+  const render = (row, item, index, isNew) =>
+  {
+    calls.push(`${item.id}:${isNew}`);
+    row.wraps.firstChild.textContent = item.name;
+  };
+
+  list.renderList([{id: 1, name: 'a'}, {id: 2, name: 'b'}, {id: 3, name: 'c'}],
+    {key: 'id', render});
+  assert.deepStrictEqual(texts(), ['a', 'b', 'c']);
+  assert.deepStrictEqual(calls.splice(0), ['1:true', '2:true', '3:true']);
+
+  const two = rows()[1];
+  list.renderList([{id: 3, name: 'c'}, {id: 2, name: 'B'}, {id: 4, name: 'd'}],
+    {key: 'id', render});
+  assert.deepStrictEqual(texts(), ['c', 'B', 'd']);
+  assert.deepStrictEqual(calls, ['3:false', '2:false', '4:true']);
+  assert.strictEqual(rows()[1], two);
+
+  // Content that isn't a row is left alone.
+  list.renderList([], {key: 'id', render});
+  assert.deepStrictEqual(texts(), []);
+  assert.strictEqual(list.wraps.querySelector('.head').textContent, 'H');
+});
+
+test('renderList() checks for duplicate keys first', (t) =>
+{
+  t.mock.method(console, 'error', () => {});
+
+  const {list, texts} = setup();
+  const render = (row, item) => row.wraps.textContent = item.id;
+
+  list.renderList([{id: 1}], {key: 'id', render});
+  assert.throws(() => list.renderList([{id: 2}, {id: 3}, {id: 2}],
+    {key: 'id', render}), TypeError);
+  assert.deepStrictEqual(texts(), ['1']);
+
+  list.renderList([{id: 4}], {key: 'id', render});
+  assert.deepStrictEqual(texts(), ['4']);
+});
+
+test('renderList() with a template from elsewhere', (t) =>
+{
+  t.mock.method(console, 'error', () => {});
+
+  const {document} = setup();
+  const div = new Wrapper(document.createElement('div'));
+  assert.throws(() => div.renderList([1]), TypeError);
+
+  div.renderList(['x', 'y'], 
+  {
+    template: '#list > template', 
+    render: (row, item) => row.wraps.textContent = item,
+  });
+  assert.strictEqual(div.wraps.innerHTML, '<li>x</li><li>y</li>');
+});
@@ -0,0 +1,91 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+const {sanitizeHTML, isSafeURL, getPolicy} = require('../lib/sanitize');
+
+test('sanitizeHTML() removes scripts and event handlers', () =>
+{
+  const {document} = dom('', false);
+  const clean = html => sanitizeHTML(html, true, document);
+
+  assert.strictEqual(clean('<p onclick="x()">a<script>x()</script></p>'),
+    '<p>a</p>');
+  assert.strictEqual(clean('<img src="a.png" onerror="x()" alt="a">'),
+    '<img src="a.png" alt="a">');
+  assert.strictEqual(clean('<svg><script>x()</script></svg><b>b</b>'),
+    '<b>b</b>');
+  assert.strictEqual(clean('<style>*{}</style><iframe src="x"></iframe>c'),
+    'c');
+  assert.strictEqual(clean('<p>a<!-- comment --></p>'), '<p>a</p>');
+});
+
+test('sanitizeHTML() unwraps tags that are not allowed', () =>
+{
+  const {document} = dom('', false);
+  assert.strictEqual(
+    sanitizeHTML('<form action="/x"><p>a <blink>b</blink></p></form>',
+      true, document),
+    '<p>a b</p>');
+});
+
+test('sanitizeHTML() removes unsafe URLs', () =>
+{
+  const {document} = dom('', false);
+  const clean = html => sanitizeHTML(html, true, document);
+
+  assert.strictEqual(clean('<a href="javascript:x()">a</a>'), '<a>a</a>');
+  assert.strictEqual(clean('<a href="java&#x09;script:x()">a</a>'), '<a>a</a>');
+  assert.strictEqual(clean('<a href=" JavaScript:x()">a</a>'), '<a>a</a>');
+  assert.strictEqual(clean('<img src="data:image/png;base64,AA">'), '<img>');
+  assert.strictEqual(clean('<a href="/page?q=1">a</a>'),
+    '<a href="/page?q=1">a</a>');
+  assert.strictEqual(clean('<a href="https://example.com/">a</a>'),
+    '<a href="https://example.com/">a</a>');
+});
+
+test('isSafeURL() checks schemes', () =>
+{
+  assert.strictEqual(isSafeURL('page.html'), true);
+  assert.strictEqual(isSafeURL('mailto:a@example.com'), true);
+  assert.strictEqual(isSafeURL('ftp://example.com/'), false);
+  assert.strictEqual(isSafeURL('ftp://example.com/', ['ftp']), true);
+  assert.strictEqual(isSafeURL('javascript:x()', ['javascript']), false);
+  assert.strictEqual(isSafeURL('\u0000vbscript:x()'), false);
+});
+
+test('sanitizeHTML() uses custom policies', () =>
+{
+  const {document} = dom('', false);
+  const policy = {tags: ['p', 'a'], attributes: {a: ['href', 'onclick']}};
+  assert.deepStrictEqual(getPolicy(policy).attributes['*'],
+    getPolicy().attributes['*']);
+
+  assert.strictEqual(
+    sanitizeHTML('<p class="x"><a href="/" onclick="x()">a</a><b>b</b></p>',
+      policy, document),
+    '<p class="x"><a href="/">a</a>b</p>');
+
+  assert.strictEqual(sanitizeHTML('<p>a</p>', html => html.toUpperCase()),
+    '<P>A</P>');
+});
+
+test('the sanitize option is used by the wrapper', () =>
+{
+  const {document, options} = dom('<div id="d"></div>', false);
+  const div = document.getElementById('d');
+  const wrapper = new Wrapper(div, Object.assign({sanitize: true}, options));
+
+  wrapper.addHTML('<p onclick="x()">a<script>x()</script></p>');
+  assert.strictEqual(div.innerHTML, '<p>a</p>');
+
+  wrapper.html('<a href="javascript:x()">b</a>');
+  assert.strictEqual(div.innerHTML, '<a>b</a>');
+
+  const made = new Wrapper('<img src="x" onerror="x()">',
+    Object.assign({sanitize: true}, options));
+  assert.strictEqual(made.wraps.outerHTML, '<img src="x">');
+});
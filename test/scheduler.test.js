@@ -0,0 +1,132 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const {Scheduler, getScheduler} = require('../lib/scheduler');
+const Wrapper = require('../lib/wrapper');
+
+function setup()
+{
+  const {document} = dom('<div id="d"><p>a</p><p>b</p></div>', false);
+  const frames = [];
+  const scheduler = new Scheduler({raf: cb => frames.push(cb)});
+  const wrapper = new Wrapper(document.getElementById('d'), {scheduler});
+  return {document, frames, scheduler, wrapper};
+}
+
+// Run the queued frames until there are none left.
+async function runFrames(frames)
+{
+  while (frames.length)
+  {
+    frames.shift()();
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+test('reads run before writes in the next frame', async () =>
+{
+  const {frames, scheduler, wrapper} = setup();
+  const log = [];
+
+  const written = wrapper.mutate(() => { log.push('write'); return 'w'; });
+  const read = wrapper.measure(function(self)
+  {
+    log.push('read', this === self);
+    scheduler.mutate(() => log.push('write from read'));
+    return self.wraps.children.length;
+  });
+
+  assert.strictEqual(frames.length, 1);
+  assert.strictEqual(scheduler.pending, true);
+  assert.deepStrictEqual(log, []);
+
+  frames.shift()();
+  assert.deepStrictEqual(log, ['read', true, 'write', 'write from read']);
+  assert.strictEqual(await read, 2);
+  assert.strictEqual(await written, 'w');
+  assert.strictEqual(scheduler.pending, false);
+  assert.strictEqual(frames.length, 0);
+});
+
+test('flush() runs the queued tasks now', async () =>
+{
+  const {scheduler} = setup();
+  const log = [];
+
+  scheduler.mutate(() => 
+  { 
+    log.push('write');
+    scheduler.mutate(() => log.push('next write'));
+  });
+  scheduler.measure(() => log.push('read'));
+
+  scheduler.flush();
+  assert.deepStrictEqual(log, ['read', 'write']);
+
+  // Writes queued by writes are left for the next flush.
+  assert.strictEqual(scheduler.pending, true);
+  scheduler.flush();
+  assert.deepStrictEqual(log, ['read', 'write', 'next write']);
+});
+
+test('failed tasks reject, and bad tasks throw', async (t) =>
+{
+  t.mock.method(console, 'error', () => {});
+
+  const {frames, wrapper} = setup();
+  const failed = wrapper.measure(() => { throw new Error('read failed'); });
+  frames.shift()();
+  await assert.rejects(failed, {message: 'read failed'});
+
+  assert.throws(() => wrapper.mutate('nope'), TypeError);
+});
+
+test('batch() waits for chained tasks', async () =>
+{
+  const {frames, wrapper} = setup();
+  const log = [];
+
+  const done = wrapper.batch(function({measure, mutate})
+  {
+    measure(self => self.wraps.children.length)
+      .then(count => mutate(() => log.push(count)));
+  });
+
+  await runFrames(frames);
+  assert.strictEqual(await done, wrapper);
+  assert.deepStrictEqual(log, [2]);
+
+  const failed = assert.rejects(wrapper.batch(({mutate}) => 
+  {
+    mutate(() => { throw new Error('write failed'); });
+  }), {message: 'write failed'});
+  await runFrames(frames);
+  await failed;
+});
+
+test('show() and hide() resolve in a batch without transitions', async () =>
+{
+  const {frames, wrapper} = setup();
+  const paras = wrapper.find('p');
+
+  const done = wrapper.batch(({mutate}) => mutate(() => paras.hide()));
+  await runFrames(frames);
+  await done;
+  assert.deepStrictEqual(Array.from(paras.wraps, p => p.style.display),
+    ['none', 'none']);
+
+  await paras.show();
+  assert.deepStrictEqual(Array.from(paras.wraps, p => p.style.display),
+    ['', '']);
+});
+
+test('there is a default scheduler for each window', () =>
+{
+  const {document, scheduler} = setup();
+
+  assert.strictEqual(getScheduler({document}), getScheduler({document}));
+  assert.notStrictEqual(getScheduler({document}), scheduler);
+});
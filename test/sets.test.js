@@ -0,0 +1,74 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+const HTML = `<div id="r">
+  <div class="a" id="a1">
+    <div class="a" id="a2"><span id="s1"></span></div>
+    <span id="s2"></span>
+  </div>
+  <span id="s3"></span>
+</div>`;
+
+function setup()
+{
+  const {document} = dom(HTML, false);
+  const root = new Wrapper(document.getElementById('r'));
+  const outer = root.find('.a');
+  // The same elements, but not in document order.
+  const reversed = new Wrapper(outer.toArray().reverse());
+  return {root, reversed, spans: root.find('span')};
+}
+
+const ids = wrapper => wrapper.toArray().map(node => node.id);
+
+test('find() results are de-duplicated in document order', () =>
+{
+  const {reversed} = setup();
+
+  assert.deepStrictEqual(ids(reversed.find('span')), ['s1', 's2']);
+  assert.deepStrictEqual(ids(reversed.query('span', true)), ['s1', 's2']);
+  assert.deepStrictEqual(
+    reversed.find('span', {wrapQueries: false}).map(node => node.id),
+    ['s1', 's2']);
+});
+
+test('union(), intersect() and difference()', () =>
+{
+  const {root, reversed, spans} = setup();
+
+  const union = reversed.union(spans.eq(2), spans.toArray()[0], null);
+  assert.deepStrictEqual(ids(union), ['a1', 'a2', 's1', 's3']);
+
+  const all = root.find('*');
+  assert.deepStrictEqual(ids(all.intersect(spans)), ['s1', 's2', 's3']);
+  assert.deepStrictEqual(ids(spans.intersect(reversed)), []);
+  assert.deepStrictEqual(ids(all.difference(spans)), ['a1', 'a2']);
+});
+
+test('contains() and index()', () =>
+{
+  const {root, reversed, spans} = setup();
+
+  assert.strictEqual(spans.contains(spans.toArray()[1]), true);
+  assert.strictEqual(spans.contains(reversed), false);
+  assert.strictEqual(spans.contains([]), false);
+  assert.strictEqual(root.find('*').contains(spans), true);
+
+  assert.strictEqual(spans.index(spans.toArray()[2]), 2);
+  assert.strictEqual(spans.index(spans.eq(1)), 1);
+  assert.strictEqual(spans.index(reversed), -1);
+  assert.strictEqual(spans.index(null), -1);
+});
+
+test('set methods reject other values', (t) =>
+{
+  t.mock.method(console, 'error', () => {});
+
+  const {spans} = setup();
+  assert.throws(() => spans.union('x'), TypeError);
+});
@@ -0,0 +1,131 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+const HTML = `<div id="r">
+  <p id="p1" class="x"></p>
+  <div id="host"><p id="light" class="x"></p></div>
+  <p id="p2" class="x"></p>
+</div>`;
+
+function setup()
+{
+  const {window, document} = dom(HTML, false);
+  const root = new Wrapper(document.getElementById('r'));
+  return {window, document, root};
+}
+
+// Make a fragment from some HTML.
+function fragment(document, html)
+{
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  return template.content;
+}
+
+const ids = wrapper => wrapper.toArray().map(node => node.id);
+
+test('shadow() attaches or returns shadow roots', () =>
+{
+  const {window, root} = setup();
+  const host = root.get('#host');
+
+  const shadow = host.shadow();
+  assert.ok(shadow.wraps instanceof window.ShadowRoot);
+  assert.strictEqual(shadow.wraps.mode, 'open');
+  assert.strictEqual(host.shadow().wraps, shadow.wraps);
+
+  shadow.addHTML('<p id="inner"></p>');
+  const closed = shadow.get('#inner').shadow({mode: 'closed'});
+  assert.strictEqual(closed.wraps.mode, 'closed');
+  assert.strictEqual(shadow.get('#inner').shadow().wraps, closed.wraps);
+
+  const none = root.find('#p1, #p2').shadow({attach: false});
+  assert.strictEqual(none.isValid, false);
+});
+
+test('deep queries look inside open shadow roots', () =>
+{
+  const {root} = setup();
+  root.get('#host').shadow().addHTML('<p id="sh" class="x">Save</p>');
+
+  assert.deepStrictEqual(ids(root.find('.x')), ['p1', 'light', 'p2']);
+  assert.deepStrictEqual(ids(root.find('.x', {deep: true})), 
+    ['p1', 'sh', 'light', 'p2']);
+  assert.deepStrictEqual(ids(root.find({class: 'x'}, {deep: true})), 
+    ['p1', 'sh', 'light', 'p2']);
+  assert.strictEqual(root.get('#sh').isValid, false);
+  assert.strictEqual(root.get('#sh', {deep: true}).wraps.id, 'sh');
+  assert.strictEqual(root.get(/Save/, {deep: true}).wraps.id, 'sh');
+});
+
+test('fragments may be wrapped and queried', (t) =>
+{
+  t.mock.method(console, 'error', () => {});
+
+  const {document} = setup();
+  const frag = new Wrapper(
+    fragment(document, '<li id="a">A</li><li id="b">B</li>'));
+
+  assert.strictEqual(frag.isValid, true);
+  assert.strictEqual(frag.isCollection, false);
+  assert.deepStrictEqual(ids(frag.find('li')), ['a', 'b']);
+  assert.strictEqual(frag.get('#b').wraps.id, 'b');
+
+  frag.addHTML('<li id="c">C</li>').add('<li id="z">Z</li>', 'afterbegin');
+  assert.deepStrictEqual(ids(frag.find('li')), ['z', 'a', 'b', 'c']);
+  assert.throws(() => frag.addHTML('<b></b>', 'afterend'), TypeError);
+
+  assert.strictEqual(new Wrapper(document.createTextNode('x')).isValid, false);
+});
+
+test('html() and the serializers use the children of fragments', () =>
+{
+  const {root, document} = setup();
+  const frag = new Wrapper(fragment(document, '<b>x</b> &amp; y'));
+
+  assert.strictEqual(frag.html(), '<b>x</b> &amp; y');
+  assert.strictEqual(frag.outerHTML(), '<b>x</b> &amp; y');
+  assert.strictEqual(`${frag}`, '<b>x</b> &amp; y');
+  assert.deepStrictEqual(frag.toJSON(), ['<b>x</b> &amp; y']);
+
+  frag.html('<i>new</i>');
+  assert.strictEqual(frag.wraps.childNodes.length, 1);
+  assert.strictEqual(frag.html(), '<i>new</i>');
+
+  const shadow = root.get('#host').shadow();
+  shadow.html('<p>in the shadows</p>');
+  assert.strictEqual(shadow.html(), '<p>in the shadows</p>');
+  assert.strictEqual(root.get('#host').html(), '<p id="light" class="x"></p>');
+});
+
+test('bind() works on fragments', () =>
+{
+  const {root} = setup();
+  const shadow = root.get('#host').shadow();
+  shadow.html('<span data-bind-title="name">{{ name }}</span>');
+
+  const binding = shadow.bind({name: 'Bob'});
+  const span = shadow.get('span').wraps;
+  assert.strictEqual(span.textContent, 'Bob');
+  assert.strictEqual(span.title, 'Bob');
+
+  binding.update({name: 'Alice'});
+  assert.strictEqual(span.textContent, 'Alice');
+});
+
+test('hide() and show() skip fragments', async () =>
+{
+  const {root} = setup();
+  const host = root.get('#host');
+  const both = new Wrapper([host.shadow().wraps, host.wraps]);
+
+  assert.strictEqual(await both.hide(), both);
+  assert.strictEqual(host.wraps.style.display, 'none');
+  await both.show();
+  assert.strictEqual(host.wraps.style.display, '');
+});
@@ -0,0 +1,63 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+const HTML = `<div class="card"><ul>
+  <li>1</li><li class="x">2</li><li>3</li><li class="stop">4</li><li>5</li>
+</ul></div>`;
+
+// Get the tag names (or text for list items) of the wrapped elements.
+function names(wrapper)
+{
+  if (!wrapper.isValid) return [];
+  const nodes = wrapper.isCollection 
+    ? Array.from(wrapper.wraps) 
+    : [wrapper.wraps];
+  return nodes.map(node => 
+    (node.tagName === 'LI' ? node.textContent : node.tagName));
+}
+
+function setup()
+{
+  dom();
+  const wrapper = new Wrapper(HTML);
+  return {wrapper, item: wrapper.get('.x')};
+}
+
+test('parent(), parents() and closest()', () =>
+{
+  const {wrapper, item} = setup();
+
+  assert.deepStrictEqual(names(item.parent()), ['UL']);
+  assert.deepStrictEqual(names(item.parents()), ['UL', 'DIV']);
+  assert.deepStrictEqual(names(item.closest('.card')), ['DIV']);
+  const list = item.closest(node => node.tagName === 'UL');
+  assert.deepStrictEqual(names(list), ['UL']);
+  assert.strictEqual(item.closest('section').isValid, false);
+
+  // The parent of several elements is only included once.
+  assert.deepStrictEqual(names(wrapper.find('li').parent()), ['UL']);
+});
+
+test('siblings(), next() and prev()', () =>
+{
+  const {item} = setup();
+
+  assert.deepStrictEqual(names(item.siblings()), ['1', '3', '4', '5']);
+  assert.deepStrictEqual(names(item.next()), ['3']);
+  assert.deepStrictEqual(names(item.prev()), ['1']);
+  assert.strictEqual(item.next('.nope').isValid, false);
+});
+
+test('nextAll(), prevAll() and nextUntil()', () =>
+{
+  const {item} = setup();
+
+  assert.deepStrictEqual(names(item.nextAll()), ['3', '4', '5']);
+  assert.deepStrictEqual(names(item.prevAll()), ['1']);
+  assert.deepStrictEqual(names(item.nextUntil('.stop')), ['3']);
+});
@@ -0,0 +1,161 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+
+// One document for every test, made before loading the modules, as the
+// event classes used by trigger() are the globals found when it loads.
+const {document} = dom();
+
+const validation = require('../lib/validate');
+const Wrapper = require('../lib/wrapper');
+
+const FORM = `<form id="f">
+  <div><input name="email" type="email" required value="bad"></div>
+  <input name="pw" value="abc" minlength="5">
+  <input name="pw2" value="abd">
+  <input name="age" type="number" min="18" value="12">
+  <input name="code" pattern="[A-Z]+" value="">
+  <input type="checkbox" name="tags[]" value="a">
+</form>`;
+
+function setup()
+{
+  document.body.innerHTML = FORM;
+  return document.getElementById('f');
+}
+
+// Get the names of the rules that failed for each field.
+function failed(result)
+{
+  const rules = {};
+  for (const name in result.errors)
+  {
+    rules[name] = result.errors[name].map(error => error.rule);
+  }
+  return rules;
+}
+
+test('built-in rules with explicit parameters', async () =>
+{
+  const form = setup();
+  const rules =
+  {
+    email: {minLength: 5, maxLength: 6},
+    pw: {length: [1, 2], pattern: /^\d+$/},
+    pw2: {length: 3, max: 'abc'},
+    age: {max: 10, min: null},
+  };
+
+  const result = await validation.validate(form, rules, {native: false});
+  assert.deepStrictEqual(failed(result),
+  {
+    email: ['minLength'],
+    pw: ['length', 'pattern'],
+    pw2: ['max'],
+    age: ['max'],
+  });
+  assert.strictEqual(result.errors.age[0].message, 'Must be at most 10.');
+});
+
+test('rules from native constraint attributes', async () =>
+{
+  const form = setup();
+
+  const result = await validation.validate(form);
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(failed(result),
+  {
+    email: ['email'],
+    pw: ['minLength'],
+    age: ['min'],
+  });
+
+  // Rules are skipped for empty values (except `required`).
+  form.elements.code.value = 'abc';
+  assert.deepStrictEqual(failed(await validation.validate(form)).code, 
+    ['pattern']);
+
+  // Explicit rules override the native ones.
+  const explicit = await validation.validate(form, {age: {min: 10}});
+  assert.strictEqual(explicit.errors.age, undefined);
+});
+
+test('matches compares with another field', async () =>
+{
+  const form = setup();
+  const rules = {pw2: {matches: 'pw'}};
+
+  let result = await validation.validate(form, rules, {native: false});
+  assert.deepStrictEqual(result.errors.pw2, 
+    [{rule: 'matches', message: 'Must match the pw field.'}]);
+
+  form.elements.pw2.value = 'abc';
+  result = await validation.validate(form, rules, {native: false});
+  assert.strictEqual(result.valid, true);
+});
+
+test('custom rules may be async, and return messages', async () =>
+{
+  const form = setup();
+  const seen = [];
+  const rules =
+  {
+    pw: 
+    {
+      custom: 
+      [
+        async (value, ctx) => { seen.push(ctx.name); return true; },
+        async (value) => (value === 'secret' ? true : 'Wrong password'),
+      ],
+    },
+    'tags[]': {required: true, messages: {required: 'Pick one'}},
+  };
+
+  const result = await validation.validate(form, rules, {native: false});
+  assert.deepStrictEqual(seen, ['pw']);
+  assert.deepStrictEqual(result.errors,
+  {
+    pw: [{rule: 'custom', message: 'Wrong password'}],
+    'tags[]': [{rule: 'required', message: 'Pick one'}],
+  });
+});
+
+test('the result has the valid flag, errors, and values', async () =>
+{
+  const form = setup();
+
+  const result = await validation.validate(form, {}, {native: false});
+  assert.deepStrictEqual(result,
+  {
+    valid: true,
+    errors: {},
+    values: 
+    {
+      email: 'bad', pw: 'abc', pw2: 'abd', age: '12', code: '', 'tags[]': [],
+    },
+  });
+});
+
+test('the wrapper triggers valid and invalid events', async () =>
+{
+  const form = setup();
+  const wrapper = new Wrapper(form);
+  const events = [];
+  wrapper.on('valid invalid', ev => events.push([ev.type, ev.detail.valid]));
+
+  const invalid = await wrapper.validate({}, {render: true});
+  assert.strictEqual(invalid.valid, false);
+  assert.strictEqual(form.elements.pw.getAttribute('aria-invalid'), 'true');
+  assert.strictEqual(form.querySelectorAll('.validation-message').length, 3);
+
+  wrapper.populate({email: 'a@b.co', pw: 'abcdef', age: 20});
+  const valid = await wrapper.validate({}, {render: true});
+  assert.strictEqual(valid.valid, true);
+  assert.strictEqual(form.elements.pw.hasAttribute('aria-invalid'), false);
+  assert.strictEqual(form.querySelectorAll('.validation-message').length, 0);
+
+  assert.deepStrictEqual(events, [['invalid', false], ['valid', true]]);
+});
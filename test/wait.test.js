@@ -0,0 +1,82 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+function setup()
+{
+  const {document, window} = 
+    dom('<ul id="l"><li>1</li><li>2</li><li>3</li></ul>');
+  const items = new Wrapper(document.getElementById('l')).find('li');
+  const fire = (node, type='ready') => 
+    node.dispatchEvent(new window.Event(type));
+  return {items, fire, window};
+}
+
+test('waitFor() resolves with the first event', async () =>
+{
+  const {items, fire} = setup();
+
+  const waiting = items.waitFor('ready');
+  fire(items.wraps[1]);
+  const ev = await waiting;
+  assert.strictEqual(ev.target.textContent, '2');
+});
+
+test('waitFor() with all waits for every element', async () =>
+{
+  const {items, fire} = setup();
+
+  const waiting = items.waitFor('ready', {all: true});
+  fire(items.wraps[0]);
+  fire(items.wraps[0]);
+  fire(items.wraps[2]);
+  fire(items.wraps[1]);
+  const events = await waiting;
+  assert.deepStrictEqual(events.map(ev => ev.target.textContent), 
+    ['1', '2', '3']);
+});
+
+test('waitFor() resolves with an accepted event', async () =>
+{
+  const {items, window} = setup();
+  const item = items.wraps[0];
+
+  const waiting = items.waitFor('click', {filter: ev => ev.detail === 2});
+  item.dispatchEvent(new window.MouseEvent('click', {detail: 1}));
+  item.dispatchEvent(new window.MouseEvent('click', {detail: 2}));
+
+  const ev = await waiting;
+  assert.strictEqual(ev.detail, 2);
+});
+
+test('waitFor() rejects on timeout or abort', async () =>
+{
+  const {items} = setup();
+
+  await assert.rejects(items.waitFor('ready', {timeout: 10}), 
+    {name: 'TimeoutError'});
+
+  const controller = new AbortController();
+  const waiting = items.waitFor('ready', {signal: controller.signal});
+  controller.abort();
+  await assert.rejects(waiting, {name: 'AbortError'});
+});
+
+test('waitFor() rejects if the filter throws', async () =>
+{
+  const {items, fire} = setup();
+
+  let calls = 0;
+  const error = new Error('filter failed');
+  const filter = () => { calls++; throw error; };
+  const waiting = items.waitFor('ready', {filter});
+  fire(items.wraps[0]);
+  fire(items.wraps[0]);
+
+  await assert.rejects(waiting, error);
+  assert.strictEqual(calls, 1);
+});
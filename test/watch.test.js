@@ -0,0 +1,101 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dom = require('./dom');
+const Wrapper = require('../lib/wrapper');
+
+// A fake observer, as jsdom has no ResizeObserver or IntersectionObserver.
+class FakeObserver
+{
+  constructor(callback, options)
+  {
+    this.callback = callback;
+    this.options = options;
+    this.targets = [];
+    FakeObserver.instances.push(this);
+  }
+  observe(target, options) { this.targets.push({target, options}); }
+  disconnect() { this.targets = null; }
+  fire(entries) { this.callback(entries, this); }
+}
+
+function setup()
+{
+  FakeObserver.instances = [];
+  const {window, document} = dom('<ul><li>1</li><li>2</li></ul>', false);
+  window.ResizeObserver = FakeObserver;
+  window.IntersectionObserver = class extends FakeObserver {};
+  const items = new Wrapper(document.querySelectorAll('li'));
+  return {document, items, observers: FakeObserver.instances};
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('watch() observes mutations on each element', async () =>
+{
+  const {items} = setup();
+  const seen = [];
+
+  items.watch('mutation', function(wrapper, records)
+  {
+    seen.push([this.textContent, wrapper.wraps === this, records.length]);
+  });
+
+  items.wraps[0].setAttribute('title', 'x');
+  await tick();
+  assert.deepStrictEqual(seen, [['1', true, 1]]);
+});
+
+test('watch() for resize and visible changes', () =>
+{
+  const {document, items, observers} = setup();
+  const seen = [];
+  const callback = function(wrapper, entry)
+  {
+    seen.push([this.textContent, entry.isIntersecting]);
+  }
+
+  items.watch('resize', callback)
+    .watch('visible', callback, {once: true, root: new Wrapper(document.body)});
+  // One observer of each type for each element.
+  assert.strictEqual(observers.length, 4);
+  assert.strictEqual(observers[2].options.root, document.body);
+
+  observers[1].fire([{target: items.wraps[1]}]);
+  observers[2].fire([{target: items.wraps[0], isIntersecting: false}]);
+  observers[2].fire([{target: items.wraps[0], isIntersecting: true}]);
+  assert.deepStrictEqual(seen, [['2', undefined], ['1', true]]);
+
+  // With `once` it's disconnected after the element is visible.
+  assert.strictEqual(observers[2].targets, null);
+  assert.notStrictEqual(observers[3].targets, null);
+});
+
+test('unwatch() and remove() disconnect the observers', () =>
+{
+  const {items, observers} = setup();
+  const callback = () => {};
+
+  const connected = () => observers.map(observer => observer.targets !== null);
+
+  items.watch('resize', callback);
+  items.unwatch('resize');
+  assert.deepStrictEqual(connected(), [false, false]);
+
+  items.watch('resize', callback);
+  items.eq(1).remove();
+  assert.deepStrictEqual(connected(), [false, false, true, false]);
+
+  items.unwatch();
+  assert.deepStrictEqual(connected(), [false, false, false, false]);
+});
+
+test('watch() rejects unknown types', (t) =>
+{
+  t.mock.method(console, 'error', () => {});
+
+  const {items} = setup();
+  assert.throws(() => items.watch('nope', () => {}), TypeError);
+});